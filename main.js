@@ -1,13 +1,22 @@
-const { Plugin, PluginSettingTab, Setting, Notice, MarkdownView, Modal, FuzzySuggestModal, setIcon } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, Notice, MarkdownView, Modal, FuzzySuggestModal, Events, TFile, Platform, parseLinktext, htmlToMarkdown, setIcon } = require('obsidian');
 
 // Default user settings
 const DEFAULT_SETTINGS = {
-    scrollSpeed: 5,             // The base number of pixels moved per scroll tick.
-    repeatInterval: 5,          // How often (in milliseconds) the scroll logic repeats while a key is held down.
+    scrollStepSize: 125,        // How many pixels one press of j/k/h/l scrolls.
+    scrollHoldSpeed: 1000,      // Scrolling speed (pixels per second) while j/k/h/l is held down, before acceleration.
     smoothScrollStart: 0.7,     // Initial speed multiplier when first pressing a scroll key. Values less than 1 create a "slow start" feel.
     smoothScrollEnd: 2.0,       // Maximum speed multiplier reached after holding the key down.
     smoothScrollDuration: 2000, // How long (in milliseconds) it takes to ramp from 'smoothScrollStart' to 'smoothScrollEnd'.
-    smoothScrollCurve: 3        // Controls the 'feel' of the acceleration. 1 is linear (constant increase). 3 (cubic) creates a more natural, weighted acceleration curve.
+    smoothScrollCurve: 3,       // Controls the 'feel' of the acceleration. 1 is linear (constant increase). 3 (cubic) creates a more natural, weighted acceleration curve.
+    hintMode: "alphabet",       // "alphabet" labels hints with letters; "filter" narrows hints by typing their text and labels them with digits.
+    hintChars: "asdfghjkl",     // Characters used for hint labels in "alphabet" mode (home row).
+    hintYankFormat: "wikilink", // How 'yf' copies links to notes: "wikilink" or "path". External links are always copied as URLs.
+    keyMappings: "",            // Vimium-style "map"/"unmap" lines applied on top of DEFAULT_KEYMAP.
+    keySequenceTimeout: 1000,   // How long (in milliseconds) a half-typed key sequence waits for its next key. 0 waits forever.
+    zoomScope: "file",          // Whether zi/zo remember a zoom level for each "file" or for each "viewType" (all PDFs, all notes, ...).
+    restoreReadingPosition: true, // Reopen notes (in Reading view) and PDFs where they were last read.
+    readingPositionExcludedFolders: "", // Folders, one per line, whose files always open at the top.
+    exclusionRules: []          // { type: "path" | "frontmatter" | "view", pattern, passKeys }. Empty passKeys disables Vimium entirely.
 };
 
 // Defines every UI button clickable with "F to select element"
@@ -17,8 +26,54 @@ const CLICKABLE_SELECTORS = [
     ".menu-item", ".view-header-breadcrumb", ".view-header-title", ".callout-fold", ".empty-state-action", ".titlebar-button", ".workspace-tabs.mod-stacked .workspace-tab-header-inner"
 ].join(", ");
 
-// Defines every keyboard character usable with "F to select element"
-const HINT_CHARS = "abcdefghijklmnopqrstuvwxyz";
+// What a link hint does when chosen: the status bar label and the hint border colour for each mode
+const HINT_MODES = {
+    click:       { label: "HINTS" },
+    newTab:      { label: "HINTS (NEW TAB)", color: "#58c4dc" },
+    multi:       { label: "HINTS (MULTI)", color: "#58c4dc" },
+    yank:        { label: "HINTS (YANK)", color: "#a9dc76" },
+    hover:       { label: "HINTS (HOVER)", color: "#ab9df2" },
+    splitRight:  { label: "HINTS (SPLIT RIGHT)", color: "#fc9867" },
+    splitDown:   { label: "HINTS (SPLIT DOWN)", color: "#fc9867" },
+    window:      { label: "HINTS (NEW WINDOW)", color: "#fc9867" },
+    contextMenu: { label: "HINTS (MENU)", color: "#ff6188" },
+    scrollRegion: { label: "HINTS (SCROLL REGION)", color: "#78dce8" }
+};
+
+// Hint modes that follow links, so choosing a hint counts as a jump
+const NAVIGATING_HINT_MODES = ["click", "newTab", "multi", "splitRight", "splitDown", "window"];
+
+// Default keyboard characters used to label link hints (home row). Users can change them in settings.
+const HINT_CHARS = "asdfghjkl";
+
+// Default key sequence -> action bindings, in Vimium key notation ("<c-d>" is Ctrl+d)
+const DEFAULT_KEYMAP = {
+    "k": "scrollUp", "j": "scrollDown", "h": "scrollLeft", "l": "scrollRight",
+    "gg": "scrollToTop", "G": "scrollToBottom", "zH": "scrollToLeft", "zL": "scrollToRight",
+    "u": "scrollPageUp", "d": "scrollPageDown", "<c-u>": "scrollPageUp", "<c-d>": "scrollPageDown",
+    "<c-b>": "scrollFullPageUp", "<c-f>": "scrollFullPageDown", "yy": "copyFilePath",
+    "f": "linkHints", "F": "linkHintsNewTab", "<a-f>": "linkHintsMulti", "yf": "linkHintsYank", "gh": "linkHintsHover",
+    "gv": "linkHintsSplitRight", "gV": "linkHintsSplitDown", "gw": "linkHintsNewWindow", "gm": "linkHintsContextMenu",
+    "gf": "focusScrollRegion", "gF": "pickScrollRegion",
+    "i": "enterInsertMode", "<a-i>": "enterPassThroughMode", "<a-v>": "passNextKey", "v": "enterVisualMode", "V": "enterVisualLineMode",
+    "[[": "previousHeading", "]]": "nextHeading",
+    "o": "openQuickSwitcher", "O": "openQuickSwitcherNewTab", "e": "openCommandPalette",
+    "b": "openBookmark", "B": "openBookmarkNewTab", "T": "searchTabs",
+    "m": "createMark", "`": "gotoMark",
+    "H": "goBack", "L": "goForward", "<c-o>": "jumpBack", "<c-i>": "jumpForward", "gj": "showJumpList",
+    "/": "enterFindMode", "n": "performFind", "N": "performBackwardsFind", "*": "findSelection",
+    "t": "createTab", "J": "previousTab", "gT": "previousTab", "K": "nextTab", "gt": "gotoTab",
+    "^": "visitPreviousTab", "g0": "firstTab", "g$": "lastTab", "yt": "duplicateTab",
+    "p": "togglePinTab", "x": "removeTab", "X": "restoreTab", "W": "moveTabToNewWindow",
+    "<<": "moveTabLeft", ">>": "moveTabRight", "zi": "zoomIn", "zo": "zoomOut", "z0": "zoomReset",
+    "r": "reload", "R": "openRandomNote", "gs": "openInDefaultApp", ".": "repeatLastCommand", "?": "showHelp"
+};
+
+// Names used for non-printable keys in Vimium key notation
+const KEY_NAMES = {
+    " ": "space", "Escape": "esc", "Enter": "enter", "Backspace": "backspace", "Tab": "tab", "Delete": "delete",
+    "ArrowUp": "up", "ArrowDown": "down", "ArrowLeft": "left", "ArrowRight": "right"
+};
 
 // --- GLOBAL HELPERS ---
 
@@ -27,7 +82,112 @@ function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// Identifies the correct scrollable container based on view type (Markdown vs PDF)
+// Turn a find query into a global RegExp, Vim style: '\c' ignores case and '\C' matches it (otherwise case only
+// matters when the query has a capital letter), and '\<' / '\>' match the start / end of a word.
+// '^' and '$' match at the start and end of each line. A query that isn't a valid regular expression is searched
+// for as plain text. Returns null for an empty query.
+function parseFindQuery(query) {
+    // One pass over the query's escapes, so an escaped backslash ('a\\c', 'a\\<') is never read as a flag. 'source'
+    // is the regular expression; 'literal' the plain-text fallback, which keeps the word boundaries.
+    let caseSensitive = null, hasCapital = false, source = "", literal = "";
+    for (let i = 0; i < query.length; i++) {
+        const c = query[i];
+        if (c !== "\\" || i + 1 === query.length) {
+            source += c; literal += escapeRegExp(c);
+            if (/[A-Z]/.test(c)) hasCapital = true;
+            continue;
+        }
+        const next = query[++i];
+        if (next === "c" || next === "C") caseSensitive = next === "C";
+        else if (next === "<" || next === ">") { source += "\\b"; literal += "\\b"; }
+        else { source += c + next; literal += escapeRegExp(c + next); }
+    }
+    if (!source) return null;
+    const flags = (caseSensitive ?? hasCapital) ? "gm" : "gim";
+    try {
+        return new RegExp(source, flags);
+    } catch (e) {
+        return new RegExp(literal, flags);
+    }
+}
+
+// Convert a keyboard event into a single key in Vimium notation ("j", "G", "<c-d>", "<esc>")
+function getKeyToken(event) {
+    let key = event.key;
+    if (event.shiftKey) {
+        if (key === ",") key = "<";
+        if (key === ".") key = ">";
+    }
+    // Alt produces composed characters on macOS, so fall back to the physical letter
+    if (event.altKey && /^Key[A-Z]$/.test(event.code || "")) {
+        key = event.shiftKey ? event.code[3] : event.code[3].toLowerCase();
+    }
+
+    const named = KEY_NAMES[key] || (key.length > 1 ? key.toLowerCase() : null);
+    let mods = "";
+    if (event.ctrlKey) mods += "c-";
+    if (event.altKey) mods += "a-";
+    if (event.metaKey) mods += "m-";
+    if (named && event.shiftKey) mods += "s-";
+    if (!mods && !named) return key;
+    return `<${mods}${named || key}>`;
+}
+
+// Normalize a single key written by the user ("<C-D>" -> "<c-D>", "<Esc>" -> "<esc>")
+function normalizeKey(key) {
+    const match = key.match(/^<((?:[cams]-)*)(.+)>$/i);
+    if (!match) return key;
+    const mods = match[1].toLowerCase();
+    const name = match[2].length > 1 ? match[2].toLowerCase() : match[2];
+    const ordered = ["c-", "a-", "m-", "s-"].filter(m => mods.includes(m)).join("");
+    return `<${ordered}${name}>`;
+}
+
+// Split a key sequence into individual keys ("g<c-x>" -> ["g", "<c-x>"])
+function parseKeySequence(keys) {
+    return (keys.match(/<[^<>\s]+>|\S/g) || []).map(normalizeKey);
+}
+
+// Convert a glob ("Projects/**/*.md", "Boards/") into an anchored regular expression
+function globToRegExp(glob) {
+    if (glob.endsWith("/")) glob += "**";
+    let out = "";
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === "*" && glob[i + 1] === "*") {
+            // '**/' also matches zero folders
+            if (glob[i + 2] === "/") { out += "(?:.*/)?"; i += 2; }
+            else { out += ".*"; i++; }
+        }
+        else if (c === "*") out += "[^/]*";
+        else if (c === "?") out += "[^/]";
+        else out += escapeRegExp(c);
+    }
+    return new RegExp(`^${out}$`, "i");
+}
+
+// Check one exclusion rule against a view. Frontmatter patterns are "key" or "key=value".
+function matchesExclusionRule(app, view, rule) {
+    const pattern = rule.pattern?.trim();
+    if (!pattern || !view) return false;
+    const file = view.file;
+
+    if (rule.type === "view") return globToRegExp(pattern).test(view.getViewType());
+    if (rule.type === "path") return !!file && globToRegExp(pattern).test(file.path);
+    if (rule.type === "frontmatter") {
+        const frontmatter = file && app.metadataCache.getFileCache(file)?.frontmatter;
+        if (!frontmatter) return false;
+        const [key, ...rest] = pattern.split("=");
+        const value = frontmatter[key.trim()];
+        if (value === undefined) return false;
+        if (!rest.length) return true;
+        const expected = rest.join("=").trim().toLowerCase();
+        return [].concat(value).some(v => String(v).toLowerCase() === expected);
+    }
+    return false;
+}
+
+// The scrolling container of a document view: Reading-view markdown or a PDF. Positions and marks are measured in it.
 function getScrollElement(view) {
     if (!view) return null;
     if (view.getViewType() === "markdown" && view.getMode() === "preview") {
@@ -41,6 +201,53 @@ function getScrollElement(view) {
     return null;
 }
 
+// Pan surfaces already made for canvas and graph views, so a held key keeps scrolling the same object
+const panSurfaces = new WeakMap();
+
+// What the scrolling keys move in a view, by view type: the document scroller, the editor's scroller in Source mode
+// and Live Preview (unless Obsidian's Vim mode owns the keys), the scrolling container of Bases and images, or a
+// PanSurface standing in for a scroller in canvas and graph views
+function getViewScroller(view) {
+    if (!view) return null;
+    const type = view.getViewType();
+    if (type === "markdown" && view.getMode() === "source") {
+        return view.app.vault.getConfig("vimMode") ? null : view.contentEl.querySelector(".cm-scroller");
+    }
+    if (type === "bases" || type === "image") {
+        const win = view.contentEl.ownerDocument.defaultView;
+        return findOutermostScroller(view.contentEl, win) || view.contentEl;
+    }
+    if (type === "canvas" || type === "graph" || type === "localgraph") {
+        if (!panSurfaces.has(view)) {
+            const surface = type === "canvas" ? (view.canvas && new CanvasPanSurface(view.canvas)) : (getGraphRenderer(view) && new GraphPanSurface(view));
+            if (!surface) return null;
+            panSurfaces.set(view, surface);
+        }
+        return panSurfaces.get(view);
+    }
+    return getScrollElement(view);
+}
+
+// The first scrollable element under 'root' (itself included), searched level by level
+function findOutermostScroller(root, win) {
+    let level = [root];
+    while (level.length) {
+        const found = level.find(el => isScrollable(el, win));
+        if (found) return found;
+        level = level.flatMap(el => Array.from(el.children));
+    }
+    return null;
+}
+
+// Check whether an element scrolls by itself: its content overflows an 'auto' or 'scroll' box on either axis
+function isScrollable(el, win) {
+    const overflowY = el.scrollHeight > el.clientHeight + 1;
+    const overflowX = el.scrollWidth > el.clientWidth + 1;
+    if (!overflowY && !overflowX) return false;
+    const style = win.getComputedStyle(el);
+    return (overflowY && /auto|scroll|overlay/.test(style.overflowY)) || (overflowX && /auto|scroll|overlay/.test(style.overflowX));
+}
+
 // Unified smooth scroll helper to prevent fighting native scroll interruption
 function smoothScrollTo(el, targetValue, isPercentage = false, axis = 'y') {
     if (!el) return;
@@ -84,6 +291,366 @@ function smoothScrollTo(el, targetValue, isPercentage = false, axis = 'y') {
     }, 100);
 }
 
+// First source line shown at the top of a Reading view, from the rendered sections
+function getPreviewTopLine(view) {
+    const top = getScrollElement(view)?.getBoundingClientRect().top ?? 0;
+    const section = view.previewMode.renderer?.sections?.find(s => s.el?.isConnected && s.el.getBoundingClientRect().bottom > top);
+    return section ? section.lineStart : Math.floor(view.previewMode.getScroll?.() || 0);
+}
+
+// Nearest heading or block id at or above 'line', as { heading } or { block } plus the line offset from it
+function findLineAnchor(app, file, line) {
+    const cache = app.metadataCache.getFileCache(file);
+    const candidates = [
+        ...(cache?.headings || []).map(h => ({ heading: h.heading, line: h.position.start.line })),
+        ...(cache?.sections || []).filter(s => s.id).map(s => ({ block: s.id, line: s.position.start.line }))
+    ].filter(c => c.line <= line);
+    if (!candidates.length) return null;
+
+    const { line: anchorLine, ...anchor } = candidates.reduce((a, b) => (b.line > a.line ? b : a));
+    return { ...anchor, offset: line - anchorLine };
+}
+
+// Line an anchored position points at now. A heading that appears more than once is matched to the
+// occurrence closest to where it was.
+function resolveAnchoredLine(app, file, position) {
+    const { anchor, line } = position;
+    const cache = app.metadataCache.getFileCache(file);
+    let anchorLine = null;
+    if (anchor?.block) {
+        anchorLine = cache?.sections?.find(s => s.id === anchor.block)?.position.start.line ?? null;
+    } else if (anchor?.heading) {
+        const lines = (cache?.headings || []).filter(h => h.heading === anchor.heading).map(h => h.position.start.line);
+        if (lines.length) anchorLine = lines.reduce((a, b) => (Math.abs(b - line) < Math.abs(a - line) ? b : a));
+    }
+    return Math.max(0, anchorLine === null ? line : anchorLine + anchor.offset);
+}
+
+// Capture where the reader is in a view, anchored to the content so it survives edits:
+// notes give { path, line, anchor } from the top of Reading view or the editor cursor, PDFs give { path, page, pageOffset }.
+// 'percentage' is kept as well, for scrollbar ticks. Returns null for other views.
+function capturePosition(app, view) {
+    const file = view?.file;
+    if (!file) return null;
+    const scrollEl = getScrollElement(view);
+    const maxScroll = scrollEl ? scrollEl.scrollHeight - scrollEl.clientHeight : 0;
+    const percentage = maxScroll > 0 ? scrollEl.scrollTop / maxScroll : 0;
+
+    if (view.getViewType() === "pdf") {
+        const top = scrollEl?.getBoundingClientRect().top;
+        const pageEl = scrollEl && Array.from(scrollEl.querySelectorAll(".page[data-page-number]")).find(p => p.getBoundingClientRect().bottom > top);
+        if (!pageEl) return null;
+        const rect = pageEl.getBoundingClientRect();
+        return { path: file.path, page: Number(pageEl.dataset.pageNumber), pageOffset: Math.max(0, (top - rect.top) / rect.height), percentage };
+    }
+    if (view.getViewType() !== "markdown") return null;
+
+    if (view.getMode() === "source") {
+        const line = view.editor.getCursor().line;
+        const lineCount = view.editor.lineCount();
+        return { path: file.path, line, anchor: findLineAnchor(app, file, line), percentage: lineCount > 1 ? line / (lineCount - 1) : 0 };
+    }
+    const line = getPreviewTopLine(view);
+    return { path: file.path, line, anchor: findLineAnchor(app, file, line), percentage };
+}
+
+// Bring a view showing the position's file back to a captured position. Returns false if it can't.
+function restorePosition(app, view, position) {
+    if (!view?.file || view.file.path !== position.path) return false;
+    const scrollEl = getScrollElement(view);
+
+    if (position.page) {
+        const pageEl = scrollEl?.querySelector(`.page[data-page-number="${position.page}"]`);
+        if (!pageEl) return false;
+        const rect = pageEl.getBoundingClientRect();
+        smoothScrollTo(scrollEl, scrollEl.scrollTop + rect.top - scrollEl.getBoundingClientRect().top + position.pageOffset * rect.height);
+        return true;
+    }
+
+    // Positions saved by older versions only have a scroll percentage
+    if (position.line === undefined) {
+        if (!scrollEl) return false;
+        smoothScrollTo(scrollEl, position.percentage, true);
+        return true;
+    }
+
+    if (view.getViewType() !== "markdown") return false;
+    const line = resolveAnchoredLine(app, view.file, position);
+    if (view.getMode() === "source") {
+        const cursorLine = Math.min(line, view.editor.lineCount() - 1);
+        view.editor.setCursor(cursorLine, 0);
+        view.editor.scrollIntoView({ from: { line: cursorLine, ch: 0 }, to: { line: cursorLine, ch: 0 } }, true);
+    } else {
+        view.previewMode.applyScroll(line);
+    }
+    return true;
+}
+
+// Where a position sits in a view's scroll range, from 0 to 1, for scrollbar ticks. Note positions are placed at
+// their anchored line as Reading view lays it out now, wherever they were captured; PDF positions and ones from older versions use the stored percentage.
+function getPositionFraction(app, view, position) {
+    const scrollEl = getScrollElement(view);
+    const maxScroll = scrollEl ? scrollEl.scrollHeight - scrollEl.clientHeight : 0;
+    if (position.line === undefined || view.getViewType() !== "markdown" || maxScroll <= 0) return position.percentage ?? 0;
+
+    // Sections outside the viewport may not be in the DOM, so fall back to adding up the heights above
+    const line = resolveAnchoredLine(app, view.file, position);
+    const contentTop = scrollEl.getBoundingClientRect().top - scrollEl.scrollTop;
+    let offset = null;
+    let top = 0;
+    for (const section of view.previewMode.renderer?.sections || []) {
+        const height = section.el?.isConnected ? section.el.offsetHeight : (section.height || 0);
+        if (section.el?.isConnected) top = section.el.getBoundingClientRect().top - contentTop;
+        if (section.lineEnd >= line) {
+            offset = top + height * Math.max(0, line - section.lineStart) / (section.lineEnd - section.lineStart + 1);
+            break;
+        }
+        top += height;
+    }
+    if (offset === null) return position.percentage ?? 0;
+    return Math.min(1, Math.max(0, offset / maxScroll));
+}
+
+// Show a captured position: in the active tab, the tab it was captured in or any tab showing its file, reopening
+// the file in a new tab if none does. Returns the leaf used, or null if the file no longer exists.
+// 'beforeOpen' is called with the new tab before the file is opened in it.
+async function openPosition(app, position, beforeOpen = null) {
+    const workspace = app.workspace;
+    const showsFile = (leaf) => leaf?.view?.file?.path === position.path;
+
+    let leaf = showsFile(workspace.activeLeaf) ? workspace.activeLeaf : null;
+    if (!leaf && position.leafId && showsFile(workspace.getLeafById(position.leafId))) leaf = workspace.getLeafById(position.leafId);
+    if (!leaf) workspace.iterateAllLeaves(l => { if (!leaf && showsFile(l)) leaf = l; });
+
+    if (leaf) {
+        if (leaf !== workspace.activeLeaf) workspace.setActiveLeaf(leaf, { focus: true });
+        if (!restorePosition(app, leaf.view, position)) new Notice("Tab content changed");
+        return leaf;
+    }
+
+    const file = app.vault.getAbstractFileByPath(position.path);
+    if (!(file instanceof TFile)) return null;
+    new Notice(`Re-opening '${file.basename}'...`);
+    leaf = workspace.getLeaf('tab');
+    beforeOpen?.(leaf);
+    await leaf.openFile(file);
+    setTimeout(() => restorePosition(app, leaf.view, position), 500);
+    return leaf;
+}
+
+// New path of 'path' after 'file' was renamed from 'oldPath' (directly, or as a folder containing it), or null
+function getRenamedPath(path, file, oldPath) {
+    if (path === oldPath) return file.path;
+    return path.startsWith(oldPath + "/") ? file.path + path.slice(oldPath.length) : null;
+}
+
+// Check whether 'path' is the deleted file or inside the deleted folder
+function isDeletedPath(path, file) {
+    return path === file.path || path.startsWith(file.path + "/");
+}
+
+// Move the values of an object keyed by file path to their new keys after a rename. Returns true if any moved.
+function renamePathKeys(obj, file, oldPath) {
+    let changed = false;
+    for (const key of Object.keys(obj)) {
+        const newKey = getRenamedPath(key, file, oldPath);
+        if (!newKey) continue;
+        obj[newKey] = obj[key];
+        delete obj[key];
+        changed = true;
+    }
+    return changed;
+}
+
+// Remove the values of an object keyed by file path that went with a deleted file or folder. Returns true if any did.
+function dropPathKeys(obj, file) {
+    const deleted = Object.keys(obj).filter(key => isDeletedPath(key, file));
+    deleted.forEach(key => delete obj[key]);
+    return deleted.length > 0;
+}
+
+// Short human-readable form of a captured position, e.g. "page 3" or "line 12 (under 'Setup')"
+function describePosition(position) {
+    if (position.page) return `page ${position.page}`;
+    if (position.line === undefined) return `${Math.round(position.percentage * 100)}%`;
+    const anchor = position.anchor?.heading ? ` (under '${position.anchor.heading}')` : "";
+    return `line ${position.line + 1}${anchor}`;
+}
+
+// Heading path and first line of text at a captured position, e.g. { breadcrumb: "Guide › Setup", snippet: "Run the..." }.
+// 'content' is the note's text. PDF positions only get their page.
+function getPositionPreview(app, file, position, content) {
+    if (position.page) return { breadcrumb: "", snippet: `Page ${position.page}` };
+    if (position.line === undefined) return { breadcrumb: "", snippet: "" };
+
+    const line = resolveAnchoredLine(app, file, position);
+    const stack = [];
+    for (const heading of app.metadataCache.getFileCache(file)?.headings || []) {
+        if (heading.position.start.line > line) break;
+        while (stack.length && stack[stack.length - 1].level >= heading.level) stack.pop();
+        stack.push(heading);
+    }
+
+    const lines = (content || "").split("\n");
+    let snippet = "";
+    for (let i = line; i < lines.length && !snippet; i++) snippet = lines[i].replace(/^#+\s+/, "").trim();
+    return { breadcrumb: stack.map(h => h.heading).join(" › "), snippet: snippet.length > 80 ? snippet.slice(0, 80) + "…" : snippet };
+}
+
+// --- KEYMAP ---
+
+// Create an empty node of the keymap prefix tree
+function createKeyNode() {
+    return { children: new Map(), binding: null };
+}
+
+// Registry of key sequence -> binding, where a binding is an ACTIONS name or "command:<obsidian-command-id>".
+// Bindings are also kept in a prefix tree (one node per key) so sequences of any length can be matched key by key.
+class Keymap {
+    constructor() {
+        this.bindings = new Map();
+        this.root = createKeyNode();
+        this.errors = [];
+        this.mappingText = "";
+        this.pluginBindings = new Map(); // Defaults added by other plugins through the API
+        this.noRepeat = new Set(); // Command bindings mapped with 'norepeat', which '.' skips
+    }
+
+    // Rebuild from the defaults, then apply the user's mapping lines. Returns any parse errors.
+    load(mappingText = "") {
+        this.mappingText = mappingText;
+        this.bindings = new Map(Object.entries(DEFAULT_KEYMAP).map(([keys, binding]) => [parseKeySequence(keys).join(""), binding]));
+        for (const [sequence, binding] of this.pluginBindings) this.bindings.set(sequence, binding);
+        this.errors = [];
+        this.noRepeat.clear();
+
+        mappingText.split("\n").forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line.startsWith("#") || line.startsWith('"')) return;
+
+            const [command, keys, binding, ...rest] = line.split(/\s+/);
+            const fail = (msg) => this.errors.push(`Line ${index + 1}: ${msg}`);
+
+            if (command === "unmapAll") {
+                this.bindings.clear();
+            } else if (command === "unmap") {
+                if (!keys || binding) return fail("expected 'unmap <keys>'");
+                if (!this.unmap(keys)) fail(`'${keys}' is not mapped`);
+            } else if (command === "map") {
+                const noRepeat = rest.length === 1 && rest[0] === "norepeat";
+                if (!keys || !binding || (rest.length && !noRepeat)) return fail("expected 'map <keys> <action>'");
+                if (!Keymap.isValidBinding(binding)) return fail(`unknown action '${binding}'`);
+                if (noRepeat && !binding.startsWith("command:")) return fail("'norepeat' only applies to command: bindings");
+                this.map(keys, binding);
+                if (noRepeat) this.noRepeat.add(binding);
+            } else {
+                fail(`unknown command '${command}'`);
+            }
+        });
+
+        this.rebuildTrie();
+        return this.errors;
+    }
+
+    // Re-apply the current mapping lines, e.g. after plugin actions were added or removed
+    reload() {
+        return this.load(this.mappingText);
+    }
+
+    // Add a default binding on behalf of another plugin. User mappings still apply on top of it.
+    addPluginBinding(keys, binding) {
+        this.pluginBindings.set(parseKeySequence(keys).join(""), binding);
+    }
+
+    // Remove a plugin default binding, if it still points at the same binding
+    removePluginBinding(keys, binding) {
+        const sequence = parseKeySequence(keys).join("");
+        if (this.pluginBindings.get(sequence) === binding) this.pluginBindings.delete(sequence);
+    }
+
+    // Check that a binding names a known action or an Obsidian command
+    static isValidBinding(binding) {
+        return Object.prototype.hasOwnProperty.call(ACTIONS, binding) || /^command:\S+$/.test(binding);
+    }
+
+    // Bind (or rebind) a key sequence
+    map(keys, binding) {
+        const sequence = parseKeySequence(keys).join("");
+        if (!sequence) return;
+        this.bindings.set(sequence, binding);
+        this.rebuildTrie();
+    }
+
+    // Remove a key sequence, returning whether it was bound
+    unmap(keys) {
+        const removed = this.bindings.delete(parseKeySequence(keys).join(""));
+        this.rebuildTrie();
+        return removed;
+    }
+
+    // Binding for a complete key sequence
+    get(sequence) {
+        return this.bindings.get(sequence);
+    }
+
+    // Trie node reached by a key sequence, if any binding starts with it
+    getNode(sequence) {
+        let node = this.root;
+        for (const key of parseKeySequence(sequence)) {
+            node = node.children.get(key);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // Whether the sequence is the start of a longer bound sequence
+    isPrefix(sequence) {
+        return (this.getNode(sequence)?.children.size || 0) > 0;
+    }
+
+    // Bindings that are also prefixes of longer bindings. These only run once the sequence timeout expires
+    // or a key that does not continue the longer sequence is typed.
+    getAmbiguities() {
+        const found = [];
+        const collect = (node, keys) => {
+            const longer = [];
+            for (const [key, child] of node.children) {
+                if (child.binding) longer.push(keys + key);
+                longer.push(...collect(child, keys + key));
+            }
+            if (node.binding && longer.length) found.push({ keys, binding: node.binding, longer });
+            return longer;
+        };
+        collect(this.root, "");
+        return found.sort((a, b) => a.keys.localeCompare(b.keys));
+    }
+
+    // All key sequences bound to a binding, in mapping order
+    getKeysFor(binding) {
+        return [...this.bindings].filter(([, b]) => b === binding).map(([keys]) => keys);
+    }
+
+    // All [keys, commandId] pairs bound to Obsidian commands
+    getCommandBindings() {
+        return [...this.bindings]
+            .filter(([, b]) => b.startsWith("command:"))
+            .map(([keys, b]) => [keys, b.slice("command:".length)]);
+    }
+
+    // Rebuild the prefix tree from the flat bindings
+    rebuildTrie() {
+        this.root = createKeyNode();
+        for (const [sequence, binding] of this.bindings) {
+            let node = this.root;
+            for (const key of parseKeySequence(sequence)) {
+                if (!node.children.has(key)) node.children.set(key, createKeyNode());
+                node = node.children.get(key);
+            }
+            node.binding = binding;
+        }
+    }
+}
+
 // --- MARK SEARCH MODAL ---
 
 // Initialize the modal with reference to plugin
@@ -91,27 +658,57 @@ class MarkSearchModal extends FuzzySuggestModal {
     constructor(plugin) {
         super(plugin.app);
         this.plugin = plugin;
+        this.previews = new Map(); // mark id -> { breadcrumb, snippet }, filled in once the notes have been read
+        this.renameHandler = null;
         this.setPlaceholder("Search for mark...");
+
+        const mod = Platform.isMacOS ? "cmd" : "ctrl";
+        this.setInstructions([
+            { command: "↵", purpose: "jump" },
+            { command: `${mod} r`, purpose: "rename key" },
+            { command: `${mod} m`, purpose: "move here" },
+            { command: `${mod} e`, purpose: "export" },
+            { command: `${mod} i`, purpose: "import" }
+        ]);
+        this.scope.register(["Mod"], "r", () => { this.renameSelected(); return false; });
+        this.scope.register(["Mod"], "m", () => { this.moveSelected(); return false; });
+        this.scope.register(["Mod"], "e", () => { this.exportMarks(); return false; });
+        this.scope.register(["Mod"], "i", () => { this.importMarks(); return false; });
     }
 
-    // Format mark data for the fuzzy finder
+    // Read the marked notes in the background to show where each mark is
+    onOpen() {
+        super.onOpen();
+        this.loadPreviews();
+    }
+
+    // Global marks first, then local marks grouped by note (the active note's first)
     getItems() {
-        return Object.entries(this.plugin.markManager.marks).map(([key, data]) => ({
-            key, ...data
-        }));
+        return this.plugin.markManager.listMarks();
+    }
+
+    // Key a mark by scope and key, since local keys repeat across notes
+    getMarkId(mark) {
+        return mark.global ? mark.key : `${mark.path}:${mark.key}`;
     }
 
     // Generate the display text for a specific mark
     getItemText(item) {
-        const pct = Math.round(item.percentage * 100);
         const filename = item.path.split('/').pop();
-        return `${item.key} at ${pct}% ${filename}`;
+        const preview = this.previews.get(this.getMarkId(item));
+        return `${item.key} at ${describePosition(item)} ${filename} ${item.global ? "global" : "local"} ${preview ? `${preview.breadcrumb} ${preview.snippet}` : ""}`;
     }
 
-    // Custom renderer to include the Delete button in the list
+    // Custom renderer to include the preview and the Delete button in the list
     renderSuggestion(item, el) {
+        const mark = item.item;
+        const preview = this.previews.get(this.getMarkId(mark));
         el.addClass("vimium-mark-modal-item");
-        el.createSpan({ text: this.getItemText(item.item) });
+        const info = el.createDiv({ cls: "vimium-mark-info" });
+        info.createDiv({ text: `${mark.key} at ${describePosition(mark)} ${mark.path.split('/').pop()}` });
+        if (preview?.breadcrumb) info.createDiv({ text: preview.breadcrumb, cls: "vimium-mark-breadcrumb" });
+        if (preview?.snippet) info.createDiv({ text: preview.snippet, cls: "vimium-mark-snippet" });
+        el.createSpan({ text: mark.global ? "Global" : "Local", cls: "vimium-mark-scope" });
 
         const deleteBtn = el.createEl("button", { cls: "vimium-mark-delete-btn" });
         setIcon(deleteBtn, "x"); 
@@ -120,7 +717,7 @@ class MarkSearchModal extends FuzzySuggestModal {
         deleteBtn.onclick = (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.plugin.markManager.deleteMark(item.item.key);
+            this.plugin.markManager.deleteMark(mark.key, mark.path);
             
             // Efficiently refresh the list without closing the modal
             this.onInput();
@@ -128,9 +725,72 @@ class MarkSearchModal extends FuzzySuggestModal {
         };
     }
 
+    // Work out the breadcrumb and snippet of every mark, then redraw the list
+    async loadPreviews() {
+        const contents = new Map();
+        for (const mark of this.getItems()) {
+            const file = this.app.vault.getAbstractFileByPath(mark.path);
+            if (!(file instanceof TFile)) continue;
+            if (file.extension === "md" && !contents.has(file.path)) contents.set(file.path, await this.app.vault.cachedRead(file));
+            this.previews.set(this.getMarkId(mark), getPositionPreview(this.app, file, mark, contents.get(file.path)));
+        }
+        this.onInput();
+    }
+
+    // The highlighted mark. SuggestModal doesn't expose it, so it is read from the list's chooser.
+    getSelectedMark() {
+        const chooser = this.chooser;
+        return chooser?.values?.[chooser.selectedItem]?.item ?? null;
+    }
+
+    // Mod+R: the next key pressed becomes the highlighted mark's key, unless it is reserved or already taken
+    renameSelected() {
+        const mark = this.getSelectedMark();
+        if (!mark || this.renameHandler) return;
+        this.setPlaceholder(`Press the new key for mark '${mark.key}'...`);
+        this.renameHandler = this.scope.register(null, null, (evt) => {
+            if (["Shift", "Control", "Alt", "Meta"].includes(evt.key)) return false;
+            this.scope.unregister(this.renameHandler);
+            this.renameHandler = null;
+            this.setPlaceholder("Search for mark...");
+            if (evt.key.length !== 1 || evt.key === mark.key) return false;
+            const problem = this.plugin.markManager.checkNewMarkKey(mark, evt.key);
+            if (problem) { new Notice(problem); return false; }
+            this.plugin.markManager.renameMark(mark, evt.key);
+            this.loadPreviews();
+            return false;
+        });
+    }
+
+    // Mod+M: move the highlighted mark to the position of the note behind the modal
+    moveSelected() {
+        const mark = this.getSelectedMark();
+        if (!mark) return;
+        this.plugin.markManager.moveMark(mark);
+        this.loadPreviews();
+    }
+
+    // Mod+E: copy every mark to the clipboard as JSON, e.g. to paste into a shared note
+    exportMarks() {
+        const count = this.getItems().length;
+        navigator.clipboard.writeText(this.plugin.markManager.exportMarks());
+        new Notice(`Copied ${count} mark${count === 1 ? "" : "s"} to the clipboard as JSON`);
+    }
+
+    // Mod+I: add the marks from JSON on the clipboard, replacing marks with the same keys
+    async importMarks() {
+        try {
+            const count = this.plugin.markManager.importMarks(await navigator.clipboard.readText());
+            new Notice(`Imported ${count} mark${count === 1 ? "" : "s"}`);
+            this.loadPreviews();
+        } catch (e) {
+            new Notice("The clipboard doesn't contain exported marks");
+        }
+    }
+
     // Action to perform when a mark is selected (Enter key)
     onChooseItem(item) {
-        this.plugin.markManager.jumpToMark(item.key);
+        this.plugin.markManager.goToMark(item);
     }
 }
 
@@ -230,7 +890,11 @@ class BookmarkSearchModal extends FuzzySuggestModal {
 // --- HELP MODAL UI ---
 
 class VimiumHelpModal extends Modal {
-    constructor(app) { super(app); }
+    constructor(plugin) {
+        super(plugin.app);
+        this.plugin = plugin;
+    }
+
     onOpen() {
         const { contentEl } = this;
         contentEl.empty();
@@ -239,82 +903,26 @@ class VimiumHelpModal extends Modal {
         contentEl.createEl("h1", { text: "Vimium-Obsidian Help" });
 
         const grid = contentEl.createDiv({ cls: "vimium-grid" });
-        const col1 = grid.createDiv({ cls: "vimium-col" });
-
-        this.addSection(col1, "Navigating the page", [
-            [["k"], "Scroll up"],
-            [["j"], "Scroll down"],
-            [["h"], "Scroll left"],
-            [["l"], "Scroll right"],
-            [["gg"], "Scroll to top"],
-            [["G"], "Scroll to bottom"],
-            [["zH"], "Scroll to far left"],
-            [["zL"], "Scroll to far right"],
-            [["u"], "Scroll up (faster)"],
-            [["d"], "Scroll down (faster)"],
-            [["yy"], "Copy file path to clipboard"],
-            [["f"], "Open Link Hints"],
-            [["F"], "Open Link Hints in a new tab"],
-            [["i"], "Enter insert mode"],
-            [["esc"], "Leave insert mode"],
-            [["[["], "Jump to previous heading"],
-            [["]]"], "Jump to next heading"],
-        ]);
-
-        this.addSection(col1, "Files & Commands", [
-            [["o"], "Open quick switcher"],
-            [["O"], "Open quick switcher in new tab"],
-            [["e"], "Open command palette"],
-            [["b"], "Open a bookmark"],
-            [["B"], "Open a bookmark in a new tab"],
-            [["T"], "Search through open tabs"],
-        ]);
-
-        this.addSection(col1, "Using Marks", [
-            [["m*"], "Create a new mark"],
-            [["`*"], "Jump to a mark"],
-            [["md"], "Clear marks on current tab"],
-            [["ml"], "List/Search all marks"],
-        ]);
-
-        const col2 = grid.createDiv({ cls: "vimium-col" });
-
-        this.addSection(col2, "Navigating history", [
-            [["H"], "Go back in history"],
-            [["L"], "Go forward in history"],
-        ]);
-
-        this.addSection(col2, "Using Find", [
-            [["/"], "Enter find mode"],
-            [["n"], "Cycle forward to the next find match"],
-            [["N"], "Cycle backward to the previous find match"],
-        ]);
-
-        this.addSection(col2, "Manipulating tabs", [
-            [["t"], "Create new tab"],
-            [["J", "gT"], "Go one tab left"],
-            [["K", "gt"], "Go one tab right"],
-            [["^"], "Go to previously-visited tab"],
-            [["g0"], "Go to the first tab"],
-            [["g$"], "Go to the last tab"],
-            [["yt"], "Duplicate current tab"],
-            [["p"], "Pin/Unpin current tab"],
-            [["x"], "Close current tab"],
-            [["X"], "Restore closed tab"],
-            [["W"], "Move tab to new window"],
-            [["<<"], "Move tab to the left"],
-            [[">>"], "Move tab to the right"],
-            [["zi"], "Zoom in"],
-            [["zo"], "Zoom out"],
-            [["z0"], "Reset zoom"],
-        ]);
+        const columns = [grid.createDiv({ cls: "vimium-col" }), grid.createDiv({ cls: "vimium-col" })];
+        const keymap = this.plugin.keymap;
+
+        // Build each section from whatever is currently bound in the keymap
+        for (const { title, column } of HELP_SECTIONS) {
+            const rows = [];
+            for (const [name, action] of Object.entries(ACTIONS)) {
+                if (action.section !== title) continue;
+                const keys = keymap.getKeysFor(name);
+                if (!keys.length) continue;
+
+                if (action.args) action.args.forEach(([suffix, desc]) => rows.push([keys.map(k => k + suffix), desc]));
+                else rows.push([keys, action.desc]);
+                if (action.helpRows) rows.push(...action.helpRows);
+            }
+            if (rows.length) this.addSection(columns[column], title, rows);
+        }
 
-        this.addSection(col2, "Miscellaneous", [
-            [["r"], "Reload Obsidian"],
-            [["R"], "Open a random new note"],
-            [["gs"], "Open file in default app"],
-            [["?"], "Show help"],
-        ]);
+        const commandRows = keymap.getCommandBindings().map(([keys, id]) => [[keys], this.app.commands.commands[id]?.name || id]);
+        if (commandRows.length) this.addSection(columns[1], "Obsidian commands", commandRows);
     }
 
     // Helper to render a section of keys in the help modal
@@ -343,6 +951,13 @@ class LinkHintManager {
         this.containerEl = null;
         this.currentDoc = null;
         this.boundClickHandler = null;
+        this.filterMode = false;
+        this.filterText = "";
+        this.filterEl = null;
+        this.matches = [];
+        this.lastPointer = null; // { x, y, doc } of the last mouse position, used to give nearby hints short codes
+        this.detachLayoutSync = null;
+        this.refreshFrame = null;
     }
 
     // Check if hints are currently displayed
@@ -351,77 +966,273 @@ class LinkHintManager {
     }
 
     // Begin the hint generation process
-    start(openInNewTab = false, doc = document) {
+    start(mode = "click", doc = document) {
         if (this.active) return;
         this.active = true;
-        this.openInNewTab = openInNewTab;
+        this.mode = mode;
+        this.openInNewTab = mode === "newTab" || mode === "multi";
         this.currentDoc = doc;
         this.input = "";
+        this.filterMode = this.plugin.settings.hintMode === "filter";
+        this.filterText = "";
 
         const win = doc.defaultView || window;
         this.boundClickHandler = () => { this.stop(); };
         doc.addEventListener("mousedown", this.boundClickHandler);
 
-        const elements = Array.from(doc.querySelectorAll(CLICKABLE_SELECTORS)).filter(el => {
-            if (!el.offsetParent) return false;
-            const rect = el.getBoundingClientRect();
-            return (rect.width > 0 && rect.height > 0 &&
-                    rect.top >= 0 && rect.left >= 0 &&
-                    rect.bottom <= (win.innerHeight || doc.documentElement.clientHeight) &&
-                    rect.right <= (win.innerWidth || doc.documentElement.clientWidth));
-        });
-
-        if (!elements.length) { new Notice("No clickable elements."); this.stop(); return; }
+        const targets = this.findHintTargets(doc);
+        if (!targets.length) {
+            new Notice(mode === "scrollRegion" ? "No scrollable regions." : "No clickable elements.");
+            this.stop(); return;
+        }
 
-        const codes = this.generateHintCodes(elements.length);
+        this.hintChars = this.getHintChars();
+        this.plugin.statusBar?.update();
+        this.plugin.events.trigger("hints-start", { mode: this.mode, newTab: this.openInNewTab });
         this.containerEl = doc.createElement("div");
         this.containerEl.id = "vimium-hint-container";
         doc.body.appendChild(this.containerEl);
+        if (this.filterMode) this.filterEl = this.containerEl.createDiv({ cls: "vimium-hint-filter" });
 
-        this.hints = elements.map((el, i) => {
-            const code = codes[i];
-            const rect = el.getBoundingClientRect();
-            const hintEl = doc.createElement("div");
+        this.buildHints(targets);
+        this.attachLayoutSync(doc, win);
+    }
+
+    // Clickable elements (or scrollable regions in "scrollRegion" mode) that can actually be seen: inside the window
+    // and every scroll container around them, and not covered by anything else.
+    // Returns [{ el, rect }] where rect is the visible part of the element.
+    findHintTargets(doc, mode = this.mode) {
+        const win = doc.defaultView || window;
+        const viewport = { top: 0, left: 0, bottom: win.innerHeight || doc.documentElement.clientHeight, right: win.innerWidth || doc.documentElement.clientWidth };
+        const clipCache = new Map();
+        const selector = [CLICKABLE_SELECTORS, ...this.plugin.hintTargets.map(t => t.selector)].join(", ");
+        const candidates = mode === "scrollRegion"
+            ? Array.from(doc.body.querySelectorAll("*")).filter(el => isScrollable(el, win))
+            : doc.querySelectorAll(selector);
+
+        const targets = [];
+        for (const el of candidates) {
+            if (!el.offsetParent || this.containerEl?.contains(el)) continue;
+            const rect = this.getVisibleRect(el, viewport, clipCache, win);
+            if (rect && !this.isOccluded(el, rect, doc)) targets.push({ el, rect });
+        }
+        return targets;
+    }
+
+    // The part of an element not clipped by the viewport or by ancestors with overflow other than 'visible', or null
+    getVisibleRect(el, viewport, clipCache, win) {
+        const r = el.getBoundingClientRect();
+        if (r.width <= 0 || r.height <= 0) return null;
+        let rect = { top: r.top, left: r.left, bottom: r.bottom, right: r.right };
+
+        const clip = (area) => {
+            rect = {
+                top: Math.max(rect.top, area.top), left: Math.max(rect.left, area.left),
+                bottom: Math.min(rect.bottom, area.bottom), right: Math.min(rect.right, area.right)
+            };
+            return rect.bottom - rect.top > 0 && rect.right - rect.left > 0;
+        };
+
+        if (!clip(viewport)) return null;
+        for (let parent = el.parentElement; parent && parent !== el.ownerDocument.body; parent = parent.parentElement) {
+            if (!clipCache.has(parent)) {
+                const style = win.getComputedStyle(parent);
+                const clips = style.overflowX !== "visible" || style.overflowY !== "visible";
+                clipCache.set(parent, clips ? parent.getBoundingClientRect() : null);
+            }
+            const area = clipCache.get(parent);
+            if (area && !clip(area)) return null;
+        }
+        return rect;
+    }
+
+    // Check whether something else is on top of the visible part of an element. The centre and the top-left
+    // corner are sampled, so a partly covered link still gets a hint.
+    isOccluded(el, rect, doc) {
+        const points = [
+            [(rect.left + rect.right) / 2, (rect.top + rect.bottom) / 2],
+            [rect.left + 1, rect.top + 1]
+        ];
+        return !points.some(([x, y]) => {
+            const hit = doc.elementFromPoint(x, y);
+            return hit && (el.contains(hit) || hit.contains(el));
+        });
+    }
+
+    // Replace the current hints with new ones for 'targets', giving each a fresh code
+    buildHints(targets) {
+        this.hints.forEach(h => h.hintEl.remove());
+        const codes = this.assignHintCodes(targets.map(t => t.el), this.currentDoc);
+        this.hints = targets.map(({ el, rect }, i) => {
+            const hintEl = this.currentDoc.createElement("div");
             hintEl.className = "vimium-hint";
-            if (this.openInNewTab) hintEl.style.borderColor = "#58c4dc";
-            hintEl.innerText = code.toUpperCase();
-            hintEl.style.top = `${rect.top}px`;
-            hintEl.style.left = `${rect.left}px`;
-            this.containerEl.appendChild(hintEl);
-            return { code, el, hintEl };
+            if (HINT_MODES[this.mode].color) hintEl.style.borderColor = HINT_MODES[this.mode].color;
+            this.containerEl.insertBefore(hintEl, this.filterEl);
+            const hint = { code: codes[i], el, hintEl, text: this.getHintText(el), visible: true };
+            this.positionHint(hint, rect);
+            return hint;
+        });
+
+        if (!this.filterMode) this.updateHints();
+        else if (!this.applyFilter()) {
+            // The typed filter no longer matches anything on screen, so start over
+            this.filterText = "";
+            this.input = "";
+            if (!this.applyFilter()) { this.matches = []; this.updateHints(); }
+        }
+    }
+
+    // Place a hint label at the top-left corner of the visible part of its element
+    positionHint(hint, rect) {
+        hint.hintEl.style.top = `${rect.top}px`;
+        hint.hintEl.style.left = `${rect.left}px`;
+    }
+
+    // Follow scrolling, resizing, sidebar animations and re-rendering while hints are shown
+    attachLayoutSync(doc, win) {
+        const schedule = () => this.scheduleRefresh();
+        const observer = new MutationObserver(records => {
+            // Changes to the hint labels themselves don't move anything
+            if (records.some(r => !this.containerEl?.contains(r.target))) schedule();
+        });
+        observer.observe(doc.body, { childList: true, subtree: true, attributes: true, attributeFilter: ["class", "style", "hidden"] });
+        doc.addEventListener("scroll", schedule, { capture: true, passive: true });
+        doc.addEventListener("transitionend", schedule, true);
+        win.addEventListener("resize", schedule);
+
+        this.detachLayoutSync = () => {
+            observer.disconnect();
+            doc.removeEventListener("scroll", schedule, { capture: true });
+            doc.removeEventListener("transitionend", schedule, true);
+            win.removeEventListener("resize", schedule);
+            if (this.refreshFrame !== null) win.cancelAnimationFrame(this.refreshFrame);
+            this.refreshFrame = null;
+        };
+    }
+
+    // Refresh the hints at most once per frame
+    scheduleRefresh() {
+        if (!this.active || this.refreshFrame !== null) return;
+        const win = this.currentDoc.defaultView || window;
+        this.refreshFrame = win.requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            if (this.active) this.refresh();
+        });
+    }
+
+    // Re-measure the hintable elements. Before anything is typed, a changed set of elements gets new hints;
+    // once a code is partly typed, existing hints only move (or hide) so the typed prefix stays valid.
+    refresh() {
+        const targets = this.findHintTargets(this.currentDoc);
+        const sameElements = targets.length === this.hints.length && targets.every((t, i) => t.el === this.hints[i].el);
+        if (!sameElements && !this.input) { this.buildHints(targets); return; }
+
+        const rects = new Map(targets.map(t => [t.el, t.rect]));
+        this.hints.forEach(hint => {
+            hint.visible = rects.has(hint.el);
+            if (hint.visible) this.positionHint(hint, rects.get(hint.el));
         });
+        this.updateHints();
+    }
+
+    // Visible text (or accessible label) used to match an element in filter mode
+    getHintText(el) {
+        return (el.innerText || el.getAttribute("aria-label") || el.getAttribute("title") || el.value || el.placeholder || "")
+            .trim().toLowerCase();
     }
 
     // Handle input key when hints are active
     handleKey(key) {
         if (!this.active) return false;
         if (key === "Escape") { this.stop(); return true; }
+        if (this.filterMode) return this.handleFilterKey(key);
         if (key === "Backspace") {
             this.input = this.input.slice(0, -1);
             this.updateHints();
             return true;
         }
 
-        if (!/^[a-z]$/i.test(key)) return true;
+        if (key.length !== 1 || !this.hintChars.includes(key.toLowerCase())) return true;
         this.input += key.toLowerCase();
         
-        const possible = this.hints.filter(h => h.code.startsWith(this.input));
+        const possible = this.hints.filter(h => h.visible && h.code.startsWith(this.input));
         if (!possible.length) return true;
 
-        const exact = this.hints.find(h => h.code === this.input);
-        if (exact) {
-            this.triggerClick(exact.el);
-            this.stop();
-        } else {
-            this.updateHints();
+        const exact = this.hints.find(h => h.visible && h.code === this.input);
+        if (exact) this.activate(exact);
+        else this.updateHints();
+        return true;
+    }
+
+    // Filter mode: text narrows the candidates, digits pick a label, Enter picks the best match
+    handleFilterKey(key) {
+        if (key === "Enter") {
+            const hint = this.matches.find(h => h.visible && h.code === this.input) || this.matches.find(h => h.visible);
+            if (hint) this.activate(hint);
+            return true;
+        }
+        if (key === "Backspace") {
+            if (this.input) this.input = this.input.slice(0, -1);
+            else this.filterText = this.filterText.slice(0, -1);
+            this.applyFilter();
+            return true;
+        }
+        if (key.length !== 1) return true;
+
+        if (/^[0-9]$/.test(key)) {
+            const candidates = this.matches.filter(h => h.visible && h.code.startsWith(this.input + key));
+            if (!candidates.length) return true;
+            this.input += key;
+            // Labels aren't prefix-free ("1" vs "12"), so only a label nothing else extends activates at once
+            if (candidates.length === 1 && candidates[0].code === this.input) this.activate(candidates[0]);
+            else this.updateHints();
+            return true;
         }
+
+        this.filterText += key;
+        this.input = "";
+        if (!this.applyFilter()) {
+            this.filterText = this.filterText.slice(0, -1);
+            this.applyFilter();
+        } else if (this.matches.length === 1) {
+            this.activate(this.matches[0]);
+        }
+        return true;
+    }
+
+    // Keep hints whose text contains every typed word, best matches first, and renumber them.
+    // Returns false if nothing matches.
+    applyFilter() {
+        const words = this.filterText.toLowerCase().split(/\s+/).filter(Boolean);
+        const score = (hint) => (words.length && hint.text.startsWith(words[0]) ? 0 : 1);
+        const matches = this.hints
+            .filter(h => h.visible && words.every(w => h.text.includes(w)))
+            .sort((a, b) => score(a) - score(b) || (words.length ? a.text.length - b.text.length : 0));
+        if (!matches.length) return false;
+
+        this.matches = matches;
+        this.hints.forEach(h => h.code = null);
+        matches.forEach((h, i) => h.code = String(i + 1));
+        this.filterEl.setText(this.filterText ? `Filter: ${this.filterText}` : "Type to filter links");
+        this.updateHints();
         return true;
     }
 
+    // Follow a hint and close the overlay. Multi mode resets the input and keeps the hints open instead.
+    activate(hint) {
+        if (NAVIGATING_HINT_MODES.includes(this.mode)) this.plugin.logic.recordJump();
+        this.triggerClick(hint.el);
+        if (this.mode !== "multi") { this.stop(); return; }
+
+        this.input = "";
+        if (this.filterMode) { this.filterText = ""; this.applyFilter(); }
+        else this.updateHints();
+    }
+
     // Redraw hints based on current input filter
     updateHints() {
         this.hints.forEach(hint => {
-            if (hint.code.startsWith(this.input)) {
+            if (hint.visible && hint.code !== null && hint.code.startsWith(this.input)) {
                 hint.hintEl.style.display = "block";
                 const matched = hint.code.substring(0, this.input.length).toUpperCase();
                 const rest = hint.code.substring(this.input.length).toUpperCase();
@@ -430,8 +1241,25 @@ class LinkHintManager {
         });
     }
 
-    // Simulate a click event on the target element
+    // Carry out the current mode's action on the element, or hand it to a handler registered through the API
     triggerClick(el) {
+        const custom = this.mode !== "scrollRegion" && this.plugin.hintTargets.find(t => t.handler && el.matches(t.selector));
+        if (custom) { custom.handler(el, { mode: this.mode, newTab: this.openInNewTab }); return; }
+
+        switch (this.mode) {
+            case "yank": this.yankLink(el); break;
+            case "hover": this.hoverLink(el); break;
+            case "splitRight": this.openLinkIn(el, "split", "vertical"); break;
+            case "splitDown": this.openLinkIn(el, "split", "horizontal"); break;
+            case "window": this.openLinkIn(el, "window"); break;
+            case "contextMenu": this.dispatchMouseEvent(el, "contextmenu", { button: 2 }); break;
+            case "scrollRegion": this.plugin.logic.setScrollRegion(el); break;
+            default: this.clickElement(el);
+        }
+    }
+
+    // Simulate a click event on the target element (ctrl/meta-click for new tabs)
+    clickElement(el) {
         if (this.openInNewTab) {
             el.dispatchEvent(new MouseEvent("click", {
                 bubbles: true, cancelable: true, view: this.currentDoc?.defaultView || window,
@@ -443,44 +1271,379 @@ class LinkHintManager {
         }
     }
 
-    // Clean up hint overlay and listeners
-    stop() {
-        if (!this.active) return;
-        this.active = false;
-        if (this.boundClickHandler && this.currentDoc) {
-            this.currentDoc.removeEventListener("mousedown", this.boundClickHandler);
-            this.boundClickHandler = null;
-        }
-        if (this.containerEl) { this.containerEl.remove(); this.containerEl = null; }
-        this.currentDoc = null;
+    // Fire a mouse event at the centre of an element
+    dispatchMouseEvent(el, type, init = {}) {
+        const rect = el.getBoundingClientRect();
+        const event = new MouseEvent(type, {
+            bubbles: true, cancelable: true, view: el.ownerDocument.defaultView || window,
+            clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2, ...init
+        });
+        el.dispatchEvent(event);
+        return event;
     }
 
-    // Generate unique character codes for hints
-    generateHintCodes(count) {
-        if (count <= 26) return HINT_CHARS.slice(0, count).split('');
-        const codes = [];
-        const chars = HINT_CHARS.split('');
-        for (const c1 of chars) {
-            for (const c2 of chars) {
-                codes.push(c1 + c2);
-                if (codes.length >= count) return codes;
-            }
-        }
-        return codes;
-    }
-}
+    // Work out what an element points at: a vault file or folder (links, file explorer items) or an external URL
+    getLinkTarget(el) {
+        const app = this.plugin.app;
+        const sourcePath = app.workspace.getActiveFile()?.path || "";
 
-// --- MARK MANAGER ---
+        const path = el.closest("[data-path]")?.getAttribute("data-path");
+        const item = path && app.vault.getAbstractFileByPath(path);
+        if (item) return { file: item, subpath: "", sourcePath };
 
-class MarkManager {
+        const href = el.getAttribute("data-href") || el.getAttribute("href");
+        if (!href) return {};
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return { url: href };
+
+        const { path: linkpath, subpath } = parseLinktext(href);
+        const file = linkpath ? app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath) : app.workspace.getActiveFile();
+        return file ? { file, subpath, linktext: href, sourcePath } : {};
+    }
+
+    // Copy an element's target: a wikilink or path for notes, the URL for external links, otherwise its text
+    yankLink(el) {
+        const { file, subpath, url, sourcePath } = this.getLinkTarget(el);
+        let text;
+        if (url) text = url;
+        else if (file instanceof TFile && this.plugin.settings.hintYankFormat === "wikilink") {
+            text = `[[${this.plugin.app.metadataCache.fileToLinktext(file, sourcePath, true)}${subpath}]]`;
+        }
+        else if (file) text = file.path + (subpath || "");
+        else text = el.innerText?.trim();
+
+        if (!text) { new Notice("Nothing to yank"); return; }
+        navigator.clipboard.writeText(text);
+        new Notice(`Yanked ${text}`);
+    }
+
+    // Show Obsidian's page preview popover for a note link, or a plain hover for anything else
+    hoverLink(el) {
+        const { file, linktext, sourcePath } = this.getLinkTarget(el);
+        const workspace = this.plugin.app.workspace;
+        if (!(file instanceof TFile)) { this.dispatchMouseEvent(el, "mouseover"); return; }
+
+        // Page preview can require Ctrl/Cmd while hovering, so the synthetic event holds both
+        const rect = el.getBoundingClientRect();
+        const event = new MouseEvent("mouseover", {
+            bubbles: true, view: el.ownerDocument.defaultView || window, ctrlKey: true, metaKey: true,
+            clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2
+        });
+        workspace.trigger("hover-link", {
+            event, source: "preview", targetEl: el,
+            hoverParent: workspace.activeLeaf?.view || { hoverPopover: null },
+            linktext: linktext || file.path, sourcePath
+        });
+    }
+
+    // Open an element's target in a new split or window. Elements that aren't links are clicked normally.
+    openLinkIn(el, type, direction) {
+        const { file, subpath, url } = this.getLinkTarget(el);
+        if (url) { window.open(url); return; }
+        if (!(file instanceof TFile)) { this.clickElement(el); return; }
+        const leaf = this.plugin.app.workspace.getLeaf(type, direction);
+        leaf.openFile(file, { active: true, eState: subpath ? { subpath } : undefined });
+    }
+
+    // Clean up hint overlay and listeners
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        if (this.boundClickHandler && this.currentDoc) {
+            this.currentDoc.removeEventListener("mousedown", this.boundClickHandler);
+            this.boundClickHandler = null;
+        }
+        if (this.detachLayoutSync) { this.detachLayoutSync(); this.detachLayoutSync = null; }
+        if (this.containerEl) { this.containerEl.remove(); this.containerEl = null; }
+        this.hints = [];
+        this.filterEl = null;
+        this.matches = [];
+        this.currentDoc = null;
+        this.plugin.statusBar?.update();
+        this.plugin.events.trigger("hints-stop");
+    }
+
+    // Configured hint alphabet, without duplicates. Falls back to the default if fewer than two characters remain.
+    getHintChars() {
+        const chars = [...new Set((this.plugin.settings.hintChars || "").toLowerCase().replace(/\s/g, ""))].join("");
+        return chars.length >= 2 ? chars : HINT_CHARS;
+    }
+
+    // Give the shortest codes to the elements closest to the mouse, or to the centre of the active pane
+    assignHintCodes(elements, doc) {
+        let anchor;
+        if (this.lastPointer?.doc === doc) {
+            anchor = this.lastPointer;
+        } else {
+            const paneEl = this.plugin.app.workspace.activeLeaf?.view?.containerEl;
+            const rect = paneEl?.ownerDocument === doc ? paneEl.getBoundingClientRect() : null;
+            const win = doc.defaultView || window;
+            anchor = rect ? { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 } : { x: win.innerWidth / 2, y: win.innerHeight / 2 };
+        }
+
+        const distance = (el) => {
+            const rect = el.getBoundingClientRect();
+            return Math.hypot(rect.left + rect.width / 2 - anchor.x, rect.top + rect.height / 2 - anchor.y);
+        };
+        const byDistance = elements.map((el, i) => ({ i, d: distance(el) })).sort((a, b) => a.d - b.d);
+
+        const generated = this.generateHintCodes(elements.length);
+        const codes = new Array(elements.length);
+        byDistance.forEach(({ i }, rank) => codes[i] = generated[rank]);
+        return codes;
+    }
+
+    // Generate 'count' prefix-free codes, shortest first (Vimium's algorithm). Leaves of a tree are expanded
+    // breadth-first, so codes are as short as possible and no code is the start of another.
+    generateHintCodes(count) {
+        const chars = this.hintChars || HINT_CHARS;
+        let codes = [""];
+        let offset = 0;
+        while (codes.length - offset < count || codes.length === 1) {
+            const code = codes[offset++];
+            for (const ch of chars) codes.push(code + ch);
+        }
+        return codes.slice(offset, offset + count);
+    }
+}
+
+// --- VISUAL MODE ---
+
+// Motion keys in visual and caret mode -> Selection.modify() direction and granularity
+const VISUAL_MOTIONS = {
+    "h": ["backward", "character"], "l": ["forward", "character"],
+    "b": ["backward", "word"], "w": ["forward", "word"],
+    "k": ["backward", "line"], "j": ["forward", "line"],
+    "{": ["backward", "paragraph"], "}": ["forward", "paragraph"],
+    "0": ["backward", "lineboundary"], "$": ["forward", "lineboundary"]
+};
+
+// Status bar names of the visual sub-modes
+const VISUAL_MODE_LABELS = { caret: "CARET", visual: "VISUAL", visualLine: "VISUAL LINE" };
+
+class VisualModeManager {
     constructor(plugin) {
         this.plugin = plugin;
-        this.marks = {};
+        this.mode = null;        // "caret", "visual" or "visualLine" while active
+        this.container = null;  // Scroller of the view the selection stays in
+        this.doc = null;
+        this.count = "";
+        this.lineAnchor = null;  // { start, end } of the line visual line mode is anchored on, each [node, offset]
+        this.boundClickHandler = null;
+    }
+
+    // Check if visual or caret mode is on
+    isActive() {
+        return this.mode !== null;
+    }
+
+    // Start selecting in the active view. An existing selection there is kept, otherwise the first
+    // character on screen is selected.
+    start(mode) {
+        const container = getScrollElement(this.plugin.app.workspace.activeLeaf?.view);
+        if (!container) { new Notice("Visual mode only works in Reading view."); return; }
+
+        const doc = container.ownerDocument;
+        const sel = doc.getSelection();
+        const hasSelection = sel.rangeCount && !sel.isCollapsed && container.contains(sel.anchorNode) && container.contains(sel.focusNode);
+        if (!hasSelection && !this.selectFirstVisibleChar(container, sel)) { new Notice("No text to select."); return; }
+
+        this.container = container;
+        this.doc = doc;
+        this.count = "";
+        this.boundClickHandler = () => this.stop(false);
+        doc.addEventListener("mousedown", this.boundClickHandler);
+        this.setMode(mode);
+    }
+
+    // Select the first non-blank character whose line is (at least partly) visible
+    selectFirstVisibleChar(container, sel) {
+        const doc = container.ownerDocument;
+        const top = container.getBoundingClientRect().top;
+        const walker = doc.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+        });
+        const range = doc.createRange();
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            range.selectNodeContents(node);
+            const rect = range.getBoundingClientRect();
+            if (rect.height && rect.bottom > top) {
+                const offset = node.textContent.search(/\S/);
+                sel.setBaseAndExtent(node, offset, node, offset + 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Switch between caret, visual and visual line mode, reshaping the selection to match
+    setMode(mode) {
+        const sel = this.doc.getSelection();
+        this.mode = mode;
+        if (mode === "caret") {
+            // The caret is shown as a one-character selection starting at the old focus
+            sel.collapse(sel.focusNode, sel.focusOffset);
+            sel.modify("extend", "forward", "character");
+        } else if (mode === "visualLine") {
+            this.anchorLine(sel);
+        }
+        this.plugin.statusBar?.update();
+    }
+
+    // Handle a key while active. Keys with Ctrl/Alt/Cmd are left to Obsidian (e.g. Ctrl+C).
+    handleKey(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+        const key = event.key;
+        const sel = this.doc.getSelection();
+        if (key === "Escape") { this.stop(); return true; }
+
+        if (/^[0-9]$/.test(key) && (key !== "0" || this.count)) { this.count += key; return true; }
+        const count = parseInt(this.count || "1", 10);
+        this.count = "";
+
+        if (VISUAL_MOTIONS[key]) {
+            for (let i = 0; i < count; i++) this.move(sel, ...VISUAL_MOTIONS[key]);
+            this.scrollToFocus(sel);
+            return true;
+        }
+
+        switch (key) {
+            case "o":
+                if (this.mode === "caret") break;
+                sel.setBaseAndExtent(sel.focusNode, sel.focusOffset, sel.anchorNode, sel.anchorOffset);
+                if (this.mode === "visualLine") this.anchorLine(sel);
+                this.scrollToFocus(sel);
+                break;
+            case "v": if (this.mode === "visual") this.stop(); else this.setMode("visual"); break;
+            case "V": if (this.mode === "visualLine") this.stop(); else this.setMode("visualLine"); break;
+            case "c": if (this.mode !== "caret") this.setMode("caret"); break;
+            case "y": this.yank(sel, false); break;
+            case "Y": this.yank(sel, true); break;
+            case "*": this.searchSelection(this.doc); break;
+        }
+        return true;
+    }
+
+    // Move the caret, or the focus end of the selection, by one step
+    move(sel, direction, granularity) {
+        if (this.mode === "caret") {
+            sel.collapse(sel.anchorNode, sel.anchorOffset);
+            sel.modify("move", direction, granularity);
+            sel.modify("extend", "forward", "character");
+            return;
+        }
+        sel.modify("extend", direction, granularity);
+        if (this.mode === "visualLine") this.extendToLines(sel);
+    }
+
+    // Remember the line the anchor is on, then widen the selection to whole lines
+    anchorLine(sel) {
+        const focus = [sel.focusNode, sel.focusOffset];
+        sel.collapse(sel.anchorNode, sel.anchorOffset);
+        sel.modify("move", "backward", "lineboundary");
+        const start = [sel.focusNode, sel.focusOffset];
+        sel.modify("extend", "forward", "lineboundary");
+        this.lineAnchor = { start, end: [sel.focusNode, sel.focusOffset] };
+        sel.extend(...focus);
+        this.extendToLines(sel);
+    }
+
+    // Visual line mode: run the selection from the far edge of the anchor line to the edge of the focus line
+    extendToLines(sel) {
+        const { start, end } = this.lineAnchor;
+        const focus = [sel.focusNode, sel.focusOffset];
+        const range = this.doc.createRange();
+        range.setStart(...start);
+        if (range.comparePoint(...focus) >= 0) {
+            sel.setBaseAndExtent(...start, ...focus);
+            sel.modify("extend", "forward", "lineboundary");
+        } else {
+            sel.setBaseAndExtent(...end, ...focus);
+            sel.modify("extend", "backward", "lineboundary");
+        }
+    }
+
+    // Keep the moving end of the selection on screen
+    scrollToFocus(sel) {
+        const range = this.doc.createRange();
+        range.setStart(sel.focusNode, sel.focusOffset);
+        let rect = range.getBoundingClientRect();
+        if (!rect.height) rect = (sel.focusNode.nodeType === Node.ELEMENT_NODE ? sel.focusNode : sel.focusNode.parentElement)?.getBoundingClientRect();
+        if (!rect) return;
+
+        const box = this.container.getBoundingClientRect();
+        const margin = 40;
+        if (rect.top < box.top + margin) this.container.scrollTop -= box.top + margin - rect.top;
+        else if (rect.bottom > box.bottom - margin) this.container.scrollTop += rect.bottom - box.bottom + margin;
+    }
+
+    // 'y' copies the selection as plain text, 'Y' as Markdown. Like Vimium, copying ends visual mode.
+    yank(sel, asMarkdown) {
+        if (sel.isCollapsed) return;
+        let text = sel.toString();
+        if (asMarkdown) {
+            const div = this.doc.createElement("div");
+            div.appendChild(sel.getRangeAt(0).cloneContents());
+            text = htmlToMarkdown(div.innerHTML);
+        }
+        navigator.clipboard.writeText(text);
+        const lines = text.split("\n").length;
+        new Notice(lines > 1 ? `Yanked ${lines} lines` : `Yanked "${text.length > 40 ? text.slice(0, 40) + "…" : text}"`);
+        this.stop();
+    }
+
+    // '*': search the page for the selected text (also works on a mouse selection in normal mode)
+    searchSelection(doc) {
+        const text = doc.getSelection()?.toString().trim().replace(/\s+/g, " ");
+        if (!text) { new Notice("Nothing selected"); return; }
+        this.stop();
+        this.plugin.findLogic.searchFor(text, true);
+    }
+
+    // Leave visual mode, clearing the selection unless the user is making a new one with the mouse
+    stop(clearSelection = true) {
+        if (!this.mode) return;
+        this.doc.removeEventListener("mousedown", this.boundClickHandler);
+        if (clearSelection) this.doc.getSelection()?.removeAllRanges();
+        this.mode = null;
+        this.lineAnchor = null;
+        this.boundClickHandler = null;
+        this.doc = null;
+        this.container = null;
+        this.plugin.statusBar?.update();
+    }
+}
+
+// --- MARK MANAGER ---
+
+// Vim mark scopes: A-Z marks are global (one note, reachable from anywhere), everything else is local to its note
+const isGlobalMarkKey = (key) => /^[A-Z]$/.test(key);
+
+// Keys that can't name a mark: after 'm', 'd' clears marks and 'l' lists them; '`' is the previous-position mark
+const RESERVED_MARK_KEYS = ["`", "d", "l"];
+
+class MarkManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // { global: { key -> position }, local: { path -> { key -> position } } }, persisted in data.json. Positions come
+        // from capturePosition(), with the leafId of the tab a global mark was made in.
+        this.marks = this.normalizeMarks(plugin.savedMarks);
+        this.previousPosition = null; // The '`' mark: the position from before the last jump
         this.waitingForMarkChar = false;
         this.waitingForJumpChar = false;
         this.promptNotice = null;
     }
 
+    // Older versions stored every mark in one flat map; split those into local and global marks
+    normalizeMarks(saved) {
+        if (saved?.global && saved?.local) return saved;
+        const marks = { global: {}, local: {} };
+        for (const [key, mark] of Object.entries(saved || {})) {
+            if (isGlobalMarkKey(key)) marks.global[key] = mark;
+            else (marks.local[mark.path] ??= {})[key] = { percentage: mark.percentage };
+        }
+        return marks;
+    }
+
     // Check if we are waiting for a mark key
     isActive() { 
         return this.waitingForMarkChar || this.waitingForJumpChar; 
@@ -490,26 +1653,22 @@ class MarkManager {
     handleKey(evt) {
         const key = evt.key;
         if (this.waitingForMarkChar) {
-            if (key === "Escape") {
-                this.waitingForMarkChar = false;
+            this.waitingForMarkChar = false;
+            if (key === "Escape" || key.length !== 1) {
                 this.notify("Cancelled mark creation", this.promptNotice);
-            } else {
-                const lower = key.toLowerCase();
-                this.waitingForMarkChar = false;
-                if (lower === 'd') this.clearAllMarks(this.promptNotice);
-                else if (lower === 'l') {
-                    if (this.promptNotice) this.promptNotice.hide();
-                    new MarkSearchModal(this.plugin).open();
-                } else this.createMark(key, this.promptNotice);
-            }
+            } else if (key === 'd') this.clearAllMarks(this.promptNotice);
+            else if (key === 'l') {
+                if (this.promptNotice) this.promptNotice.hide();
+                new MarkSearchModal(this.plugin).open();
+            } else this.createMark(key, this.promptNotice);
             this.promptNotice = null;
             return true;
         }
 
         if (this.waitingForJumpChar) {
             this.waitingForJumpChar = false;
-            if (key !== "Escape") this.jumpToMark(key);
-            else if (this.promptNotice) this.promptNotice.hide();
+            if (this.promptNotice) this.promptNotice.hide();
+            if (key !== "Escape" && key.length === 1) this.jumpToMark(key);
             this.promptNotice = null;
             return true;
         }
@@ -519,11 +1678,13 @@ class MarkManager {
     // Begin 'create mark' state
     startMarkCreation() { 
         this.waitingForMarkChar = true; this.promptNotice = new Notice("Create mark..."); 
+        this.plugin.statusBar?.update();
     }
     
     // Begin 'jump to mark' state
     startMarkJump() { 
-        this.waitingForJumpChar = true; 
+        this.waitingForJumpChar = true; this.promptNotice = new Notice("Jump to mark..."); 
+        this.plugin.statusBar?.update();
     }
 
     // Helper to update an existing notice or create a new one
@@ -532,73 +1693,204 @@ class MarkManager {
         else new Notice(msg);
     }
 
-    // Record the current scroll position as a mark
+    // The active note's position (see capturePosition) with its tab's leafId, or null outside notes and PDFs
+    getCurrentPosition() {
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        const position = capturePosition(this.plugin.app, view);
+        return position && { ...position, leafId: view.leaf.id };
+    }
+
+    // Record the current scroll position as a mark. 'm`' sets the previous-position mark by hand.
     createMark(key, promptNotice = null) {
+        const position = this.getCurrentPosition();
+        if (!position) { this.notify("Marks only work in notes and PDFs", promptNotice); return; }
+
+        if (key === "`") {
+            this.previousPosition = position;
+            this.notify(`Marked previous position at ${describePosition(position)}`, promptNotice);
+            return;
+        }
+
+        const global = isGlobalMarkKey(key);
+        this.setMark(key, position);
+        this.plugin.events.trigger("mark-set", key, { ...position, global });
+        this.notify(`Marked '${key}' (${global ? "global" : "local"}) at ${describePosition(position)}`, promptNotice);
+    }
+
+    // Store a position under 'key': as a global mark for A-Z, otherwise as a local mark of the position's note
+    setMark(key, position) {
+        const { path, leafId, percentage, line, anchor, page, pageOffset } = position;
+        const stored = Object.fromEntries(Object.entries({ line, anchor, page, pageOffset, percentage }).filter(([, v]) => v !== undefined));
+        if (isGlobalMarkKey(key)) this.marks.global[key] = { path, leafId, ...stored };
+        else (this.marks.local[path] ??= {})[key] = stored;
+        this.save();
         const view = this.plugin.app.workspace.activeLeaf?.view;
-        const el = getScrollElement(view);
-        if (!el) { this.notify("Marks only work in Reading Mode or PDFs", promptNotice); return; }
+        if (view) this.drawMarks(view);
+    }
 
-        const maxScroll = el.scrollHeight - el.clientHeight;
-        const percentage = maxScroll > 0 ? el.scrollTop / maxScroll : 0;
-        
-        if (!view.file) return;
+    // Why 'newKey' can't be given to 'mark' (reserved, or naming another mark in the same scope), or null if it can
+    checkNewMarkKey(mark, newKey) {
+        if (RESERVED_MARK_KEYS.includes(newKey)) return `'${newKey}' can't be used as a mark`;
+        const taken = isGlobalMarkKey(newKey) ? this.marks.global[newKey] : this.marks.local[mark.path]?.[newKey];
+        return taken ? `Mark '${newKey}' already exists` : null;
+    }
+
+    // Give a mark another key. Its scope follows the new key, so renaming 'a' to 'A' makes it global.
+    renameMark(mark, newKey) {
+        if (newKey === mark.key) return;
+        const problem = this.checkNewMarkKey(mark, newKey);
+        if (problem) { new Notice(problem); return; }
+        this.deleteMark(mark.key, mark.path);
+        this.setMark(newKey, mark);
+        new Notice(`Renamed mark '${mark.key}' to '${newKey}'`);
+    }
 
-        this.marks[key] = { leafId: view.leaf.id, path: view.file.path, percentage };
-        this.notify(`Marked '${key}' at ${Math.round(percentage * 100)}%`, promptNotice);
-        this.drawMarks(view);
+    // Move a mark to the current position, keeping its key. A local mark moves into the current note.
+    moveMark(mark) {
+        const position = this.getCurrentPosition();
+        if (!position) { new Notice("Marks only work in notes and PDFs"); return; }
+        this.deleteMark(mark.key, mark.path);
+        this.setMark(mark.key, position);
+        new Notice(`Moved mark '${mark.key}' to ${describePosition(position)}`);
     }
 
-    // Remove a specific mark
-    deleteMark(key) {
-        if (this.marks[key]) {
-            delete this.marks[key];
-            const view = this.plugin.app.workspace.activeLeaf?.view;
-            if (view) this.drawMarks(view);
+    // Every mark as JSON. Tab ids only mean something in this workspace, so they are left out.
+    exportMarks() {
+        const global = Object.fromEntries(Object.entries(this.marks.global).map(([key, { leafId, ...mark }]) => [key, mark]));
+        return JSON.stringify({ global, local: this.marks.local }, null, 2);
+    }
+
+    // Add marks from exportMarks() JSON, replacing marks with the same keys. Throws if the JSON isn't an export;
+    // otherwise returns how many marks were imported.
+    importMarks(json) {
+        const data = JSON.parse(json);
+        if (!data?.global || !data?.local) throw new Error("Not a mark export");
+        const isPosition = (mark) => ["line", "page", "percentage"].some(k => typeof mark?.[k] === "number");
+        let count = 0;
+
+        for (const [key, mark] of Object.entries(data.global)) {
+            if (!isGlobalMarkKey(key) || !isPosition(mark) || typeof mark.path !== "string") continue;
+            this.marks.global[key] = mark;
+            count++;
+        }
+        for (const [path, marks] of Object.entries(data.local)) {
+            for (const [key, mark] of Object.entries(marks || {})) {
+                if (key.length !== 1 || key === "`" || isGlobalMarkKey(key) || !isPosition(mark)) continue;
+                (this.marks.local[path] ??= {})[key] = mark;
+                count++;
+            }
         }
+        this.save();
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        if (view) this.drawMarks(view);
+        return count;
     }
 
-    // Restore a tab and scroll to a saved mark position
-    async jumpToMark(key) {
-        const mark = this.marks[key];
-        if (!mark) { new Notice(`Mark '${key}' not set`); return; }
+    // Look up a mark: local marks in the active note, global marks anywhere. Returns a position with its path, or null.
+    getMark(key) {
+        if (key === "`") return this.previousPosition;
+        if (isGlobalMarkKey(key)) return this.marks.global[key] || null;
+        const path = this.plugin.app.workspace.getActiveFile()?.path;
+        const mark = path && this.marks.local[path]?.[key];
+        return mark ? { path, ...mark } : null;
+    }
 
-        const workspace = this.plugin.app.workspace;
-        let targetLeaf = workspace.getLeafById(mark.leafId);
+    // Every mark for the mark list: global marks first, then local marks of the active note, then other notes
+    listMarks() {
+        const activePath = this.plugin.app.workspace.getActiveFile()?.path;
+        const global = Object.entries(this.marks.global)
+            .map(([key, mark]) => ({ key, global: true, ...mark }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+        const local = Object.entries(this.marks.local)
+            .sort(([a], [b]) => (b === activePath) - (a === activePath) || a.localeCompare(b))
+            .flatMap(([path, marks]) => Object.entries(marks)
+                .map(([key, mark]) => ({ key, global: false, path, ...mark }))
+                .sort((a, b) => a.key.localeCompare(b.key)));
+        return [...global, ...local];
+    }
 
-        if (targetLeaf) {
-            workspace.setActiveLeaf(targetLeaf, { focus: true });
-            const el = getScrollElement(targetLeaf.view);
-            if (el) smoothScrollTo(el, mark.percentage, true);
-            else new Notice("Tab content changed");
+    // Remove a mark. Local marks belong to 'path' (the active note by default).
+    deleteMark(key, path = this.plugin.app.workspace.getActiveFile()?.path) {
+        if (isGlobalMarkKey(key)) {
+            if (!this.marks.global[key]) return;
+            delete this.marks.global[key];
         } else {
-            const file = this.plugin.app.vault.getAbstractFileByPath(mark.path);
-            if (file) {
-                new Notice(`Re-opening '${key}'...`);
-                targetLeaf = workspace.getLeaf('tab');
-                await targetLeaf.openFile(file);
-                this.marks[key].leafId = targetLeaf.id;
-                setTimeout(() => { 
-                    const el = getScrollElement(targetLeaf.view);
-                    if (el) smoothScrollTo(el, mark.percentage, true);
-                }, 500);
-            } else {
-                new Notice("File no longer exists");
-                delete this.marks[key];
-            }
+            if (!this.marks.local[path]?.[key]) return;
+            delete this.marks.local[path][key];
+            if (!Object.keys(this.marks.local[path]).length) delete this.marks.local[path];
         }
+        this.save();
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        if (view) this.drawMarks(view);
     }
 
-    // Delete all marks for the current file
+    // Jump to a mark by key ('`' jumps back to where the last jump started)
+    async jumpToMark(key) {
+        const mark = this.getMark(key);
+        if (!mark) {
+            new Notice(key === "`" ? "No previous position" : `Mark '${key}' not set${isGlobalMarkKey(key) ? "" : " in this note"}`);
+            return;
+        }
+        await this.goToMark(mark, key);
+    }
+
+    // Show the mark's note (see openPosition) and scroll to the mark. The position we leave is recorded as a jump,
+    // so it becomes the '`' mark.
+    async goToMark(mark, key = mark.key) {
+        this.plugin.logic.recordJump();
+        const leaf = await openPosition(this.plugin.app, mark, (tab) => this.plugin.readingPositions.claimLeaf(tab));
+        if (!leaf) { new Notice("File no longer exists"); this.deleteMark(key, mark.path); return; }
+
+        // Global marks follow their note into the tab it was reopened in
+        const global = isGlobalMarkKey(key) && this.marks.global[key];
+        if (global && global.leafId !== leaf.id) { global.leafId = leaf.id; this.save(); }
+    }
+
+    // Delete the local marks of the active note (global marks are kept, like Vim's ':delmarks!')
     clearAllMarks(promptNotice = null) {
-        const currentLeafId = this.plugin.app.workspace.activeLeaf?.id;
-        if (!currentLeafId) return;
+        const path = this.plugin.app.workspace.getActiveFile()?.path;
+        if (!path) return;
+
+        delete this.marks.local[path];
+        this.save();
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        if (view) this.drawMarks(view);
+        this.notify("Cleared local marks in this note", promptNotice);
+    }
+
+    // Write marks to disk
+    save() {
+        this.plugin.savePluginData();
+    }
+
+    // Follow a renamed note, or every note inside a renamed folder
+    handleRename(file, oldPath) {
+        const rename = (path) => getRenamedPath(path, file, oldPath);
+        let changed = false;
 
-        for (const key in this.marks) {
-            if (this.marks[key].leafId === currentLeafId) delete this.marks[key];
+        for (const mark of Object.values(this.marks.global)) {
+            const path = rename(mark.path);
+            if (path) { mark.path = path; changed = true; }
         }
+        if (renamePathKeys(this.marks.local, file, oldPath)) changed = true;
+        if (this.previousPosition && rename(this.previousPosition.path)) this.previousPosition.path = rename(this.previousPosition.path);
+        if (changed) this.save();
+    }
+
+    // Drop marks on a deleted note, or on any note inside a deleted folder
+    handleDelete(file) {
+        const deleted = (path) => isDeletedPath(path, file);
+        let changed = false;
+
+        for (const [key, mark] of Object.entries(this.marks.global)) {
+            if (deleted(mark.path)) { delete this.marks.global[key]; changed = true; }
+        }
+        if (dropPathKeys(this.marks.local, file)) changed = true;
+        if (this.previousPosition && deleted(this.previousPosition.path)) this.previousPosition = null;
+        if (!changed) return;
+        this.save();
         const view = this.plugin.app.workspace.activeLeaf?.view;
         if (view) this.drawMarks(view);
-        this.notify("Cleared marks for this tab", promptNotice);
     }
 
     // Visually render marks (ticks) on the scrollbar
@@ -618,16 +1910,16 @@ class MarkManager {
         }
         container.empty();
 
-        const currentLeafId = view.leaf.id;
-        for (const [key, data] of Object.entries(this.marks)) {
-            if (data.leafId === currentLeafId) {
+        const path = view.file?.path;
+        for (const mark of this.listMarks()) {
+            if (mark.path === path) {
                 const tick = document.createElement('div');
                 tick.className = 'vimium-mark-tick';
-                tick.setAttribute('data-label', key);
-                tick.style.top = `${data.percentage * 100}%`;
+                tick.setAttribute('data-label', mark.key);
+                tick.style.top = `${getPositionFraction(this.plugin.app, view, mark) * 100}%`;
                 tick.onclick = (e) => {
                     e.preventDefault(); e.stopPropagation();
-                    smoothScrollTo(scrollEl, data.percentage, true);
+                    restorePosition(this.plugin.app, view, mark);
                 };
                 container.appendChild(tick);
             }
@@ -635,6 +1927,747 @@ class MarkManager {
     }
 }
 
+// --- JUMP LIST ---
+
+// Most positions the jump list keeps, like Vim's 100
+const MAX_JUMPS = 100;
+
+// Vim's jump list: positions left by big jumps, across tabs and files. '<c-o>' walks back through it and '<c-i>'
+// forward again. Recording a position that is already listed moves it to the end.
+class JumpList {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.entries = []; // Positions from capturePosition(), oldest first
+        this.index = 0;    // Current place in 'entries'; entries.length when not walking the list
+    }
+
+    // Identity of a position for de-duplication: same file and same line (or page)
+    getPlace(position) {
+        return `${position.path}#${position.page ?? position.line ?? Math.round(position.percentage * 100)}`;
+    }
+
+    // Add the position left by a jump
+    record(position) {
+        const place = this.getPlace(position);
+        this.entries = this.entries.filter(entry => this.getPlace(entry) !== place);
+        this.entries.push(position);
+        if (this.entries.length > MAX_JUMPS) this.entries.shift();
+        this.index = this.entries.length;
+    }
+
+    // Before leaving the end of the list, add where we are as its newest entry, so '<c-i>' can return to it
+    recordCurrent() {
+        if (this.index < this.entries.length) return;
+        const current = this.plugin.markManager.getCurrentPosition();
+        if (!current) return;
+        this.record(current);
+        this.index = this.entries.length - 1;
+    }
+
+    // '<c-o>': go 'count' jumps back. The first step back also records where we are, so '<c-i>' can return.
+    back(count = 1) {
+        this.recordCurrent();
+        this.goTo(this.index - count, -1);
+    }
+
+    // '<c-i>': go 'count' jumps forward again
+    forward(count = 1) {
+        this.goTo(this.index + count, 1);
+    }
+
+    // Jump to the entry at 'index'. Entries whose file is gone are dropped, and the jump carries on to the next
+    // entry in direction 'step' (-1 back, 1 forward, 0 to stop). If no entry can be opened, the place in the list
+    // stays where it was.
+    async goTo(index, step = 0) {
+        let origin = this.index;
+        let removed = false;
+        while (index >= 0 && index < this.entries.length) {
+            if (await openPosition(this.plugin.app, this.entries[index], (tab) => this.plugin.readingPositions.claimLeaf(tab))) {
+                this.index = index;
+                if (removed) new Notice("Skipped jumps to files that no longer exist");
+                return;
+            }
+            this.entries.splice(index, 1);
+            if (index < origin) origin--;
+            removed = true;
+            if (!step) break;
+            // Going forward, the next entry has moved into 'index'
+            if (step < 0) index--;
+        }
+        this.index = Math.min(origin, this.entries.length);
+        if (removed) new Notice("File no longer exists");
+        else new Notice(index < 0 ? "At the start of the jump list" : "At the end of the jump list");
+    }
+
+    // Point entries at their note's new path after a note or folder is renamed
+    handleRename(file, oldPath) {
+        for (const entry of this.entries) {
+            const path = getRenamedPath(entry.path, file, oldPath);
+            if (path) entry.path = path;
+        }
+    }
+
+    // Remove entries for a deleted note or folder, keeping the index on the same entry
+    handleDelete(file) {
+        const before = this.entries.slice(0, this.index).filter(entry => isDeletedPath(entry.path, file)).length;
+        this.entries = this.entries.filter(entry => !isDeletedPath(entry.path, file));
+        this.index -= before;
+    }
+}
+
+// Fuzzy search through the jump list, newest first
+class JumpListModal extends FuzzySuggestModal {
+    constructor(plugin) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.setPlaceholder("Search the jump list...");
+    }
+
+    // Entries newest first, with their place in the list
+    getItems() {
+        return this.plugin.jumpList.entries.map((entry, index) => ({ entry, index })).reverse();
+    }
+
+    // Note name and position, e.g. "Setup.md line 12 (under 'Install')"
+    getItemText(item) {
+        const current = item.index === this.plugin.jumpList.index ? "> " : "";
+        return `${current}${item.entry.path.split('/').pop()} ${describePosition(item.entry)}`;
+    }
+
+    // Jump to the chosen entry. Recording where we are first can drop or shift entries, so look it up again.
+    onChooseItem(item) {
+        const jumpList = this.plugin.jumpList;
+        jumpList.recordCurrent();
+        const index = jumpList.entries.indexOf(item.entry);
+        jumpList.goTo(index === -1 ? jumpList.entries.length - 1 : index);
+    }
+}
+
+// --- ZOOM ---
+
+const MIN_ZOOM = 0.3, MAX_ZOOM = 5.0;
+
+// The pdf.js viewer inside a PDF view, or null before the document has loaded
+function getPdfViewer(view) {
+    const pdfViewer = view?.viewer?.child?.pdfViewer?.pdfViewer;
+    return pdfViewer?.pagesCount ? pdfViewer : null;
+}
+
+class ZoomManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // { key -> zoom level }, persisted in data.json. Keys are file paths, or "view:<type>" when the 'zoomScope'
+        // setting is "viewType".
+        this.levels = { ...plugin.savedZoomLevels };
+        this.retryTimer = null;
+    }
+
+    // Key a view's zoom level is stored under, or null if it has none (a view without a file)
+    getKey(view) {
+        if (!view) return null;
+        if (this.plugin.settings.zoomScope === "viewType") return `view:${view.getViewType()}`;
+        return view.file?.path ?? null;
+    }
+
+    // Element that CSS zoom is applied to. PDFs are scaled by their viewer instead.
+    getZoomElement(view) {
+        if (view.getViewType() === "markdown") {
+            return view.getMode() === "preview" ? getScrollElement(view) : view.contentEl.querySelector(".cm-scroller");
+        }
+        const scroller = getViewScroller(view);
+        return scroller instanceof PanSurface ? null : scroller || view.contentEl;
+    }
+
+    // Zoom the view in or out by 'delta' and remember the new level
+    adjust(view, delta) {
+        const key = this.getKey(view);
+        // Canvas and graph views zoom their own viewport (see VimiumLogic.adjustContentZoom), not through CSS
+        if (!key || (view.getViewType() !== "pdf" && !this.getZoomElement(view))) { new Notice("This view can't be zoomed."); return; }
+        // The PDF viewer has its own zoom controls, so start from whatever scale it shows now
+        const current = view.getViewType() === "pdf" ? getPdfViewer(view)?.currentScale : this.levels[key];
+        const level = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, parseFloat(((current ?? 1) + delta).toFixed(1))));
+        this.levels[key] = level;
+        this.apply(view);
+        this.save();
+        new Notice(`Zoom ${Math.round(level * 100)}%`);
+    }
+
+    // Forget the view's zoom level and return it to the default
+    reset(view) {
+        const key = this.getKey(view);
+        if (!key) return;
+        delete this.levels[key];
+        if (view.getViewType() === "pdf") { const pdfViewer = getPdfViewer(view); if (pdfViewer) pdfViewer.currentScaleValue = "auto"; }
+        else this.apply(view);
+        this.save();
+        new Notice("Zoom Reset");
+    }
+
+    // Show a view at its remembered zoom level. Returns false only for a PDF that is still loading; views without
+    // a CSS-zoom element (canvas, graph) have nothing to apply.
+    apply(view) {
+        const key = this.getKey(view);
+        if (!key) return true;
+        const level = this.levels[key];
+        if (view.getViewType() === "pdf") {
+            // PDFs without a level keep the viewer's own scale
+            if (level === undefined) return true;
+            const pdfViewer = getPdfViewer(view);
+            if (!pdfViewer) return false;
+            // Rescaling redraws every page, so only do it when the scale actually changes
+            if (Math.abs(pdfViewer.currentScale - level) > 0.001) pdfViewer.currentScale = level;
+            return true;
+        }
+        const el = this.getZoomElement(view);
+        if (!el) return true;
+        el.style.zoom = level === undefined ? "" : String(level);
+        return true;
+    }
+
+    // Apply the zoom level to the active view, retrying for a couple of seconds while it loads
+    applyToActive(attempt = 0) {
+        clearTimeout(this.retryTimer);
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        if (view && !this.apply(view) && attempt < 10) this.retryTimer = setTimeout(() => this.applyToActive(attempt + 1), 200);
+    }
+
+    // Write zoom levels to disk
+    save() {
+        this.plugin.savePluginData();
+    }
+
+    // Carry zoom levels over to renamed files
+    handleRename(file, oldPath) {
+        if (renamePathKeys(this.levels, file, oldPath)) this.save();
+    }
+
+    // Forget the zoom levels of deleted files
+    handleDelete(file) {
+        if (dropPathKeys(this.levels, file)) this.save();
+    }
+
+    // Stop waiting for a view to load
+    stop() {
+        clearTimeout(this.retryTimer);
+    }
+}
+
+// --- READING POSITIONS ---
+
+const MAX_READING_POSITIONS = 500;
+
+// How long after the last scroll the reading positions are written to disk
+const READING_POSITION_SAVE_DELAY = 2000;
+
+class ReadingPositionManager {
+    constructor(plugin) {
+        this.plugin = plugin;
+        // { path -> position }, persisted in data.json, least recently read first. Positions come from capturePosition().
+        this.positions = { ...plugin.savedReadingPositions };
+        this.openFiles = new WeakMap();  // leaf -> path of the file it showed last, to tell a newly opened file from a tab switch
+        this.restoringLeaf = null;       // Scroll events there come from opening or restoring, not from reading
+        this.claimedLeaf = null;         // Leaf openPosition() is opening at a position of its own
+        this.restoreTimer = null;
+        this.trackTimer = null;
+        this.saveTimer = null;
+    }
+
+    // Check whether positions in 'path' are neither recorded nor restored
+    isExcluded(path) {
+        return this.plugin.settings.readingPositionExcludedFolders.split("\n")
+            .map(folder => folder.trim().replace(/^\/+|\/+$/g, ""))
+            .some(folder => folder && (path === folder || path.startsWith(folder + "/")));
+    }
+
+    // Remember where the view is now. Only Reading view and PDFs are followed; in the editor, Obsidian keeps the cursor.
+    record(view) {
+        // A closed tab's view is detached, and would measure as scrolled to the top
+        if (!view?.file || view.leaf === this.restoringLeaf || !getScrollElement(view)?.isConnected || this.isExcluded(view.file.path)) return;
+        const position = capturePosition(this.plugin.app, view);
+        if (!position) return;
+        delete this.positions[position.path]; // Re-insert, so the oldest are dropped first
+        this.positions[position.path] = position;
+        const paths = Object.keys(this.positions);
+        paths.slice(0, paths.length - MAX_READING_POSITIONS).forEach(path => delete this.positions[path]);
+        this.scheduleSave();
+    }
+
+    // A scroll event anywhere: record the active view's position once scrolling pauses
+    handleScroll(event) {
+        const view = this.plugin.app.workspace.activeLeaf?.view;
+        if (!view || event.target !== getScrollElement(view)) return;
+        clearTimeout(this.trackTimer);
+        this.trackTimer = setTimeout(() => this.record(view), 200);
+    }
+
+    // The active leaf or its file changed. Record where the last view was left, and if 'leaf' has just opened a
+    // file, bring it back to where it was read last.
+    handleOpen(leaf, previousView) {
+        if (previousView && previousView !== leaf?.view) this.record(previousView);
+        const path = leaf?.view?.file?.path;
+        if (!path || this.openFiles.get(leaf) === path) return;
+        this.openFiles.set(leaf, path);
+
+        clearTimeout(this.restoreTimer);
+        this.restoringLeaf = null;
+        if (leaf === this.claimedLeaf) {
+            // Ignore scrolling until openPosition() has restored its own position
+            this.claimedLeaf = null;
+            this.restoringLeaf = leaf;
+            this.restoreTimer = setTimeout(() => { this.restoringLeaf = null; }, 1000);
+            return;
+        }
+        const position = this.positions[path];
+        if (!this.plugin.settings.restoreReadingPosition || !position || this.isExcluded(path)) return;
+        this.restoringLeaf = leaf;
+        this.restore(leaf, position);
+    }
+
+    // Restore a position once the view has rendered, retrying for a couple of seconds while a PDF loads. Views that
+    // have already moved away from the top were opened at a heading, a mark or a jump, and are left alone.
+    restore(leaf, position, attempt = 0) {
+        this.restoreTimer = setTimeout(() => {
+            const view = leaf.view;
+            const scrollEl = getScrollElement(view);
+            if (view?.file?.path !== position.path || !scrollEl || scrollEl.scrollTop > 5) { this.restoringLeaf = null; return; }
+
+            const ready = view.getViewType() !== "pdf" || scrollEl.querySelector(`.page[data-page-number="${position.page}"]`);
+            if (!ready) {
+                if (attempt < 10) this.restore(leaf, position, attempt + 1);
+                else this.restoringLeaf = null;
+                return;
+            }
+            restorePosition(this.plugin.app, view, position);
+            this.restoreTimer = setTimeout(() => { this.restoringLeaf = null; }, 500);
+        }, attempt ? 200 : 150);
+    }
+
+    // Let openPosition() position 'leaf' itself, instead of restoring the reading position there
+    claimLeaf(leaf) {
+        this.claimedLeaf = leaf;
+    }
+
+    // Write positions to disk after scrolling has settled
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.plugin.savePluginData(), READING_POSITION_SAVE_DELAY);
+    }
+
+    // Move reading positions to renamed files. Positions also carry their path, which is updated to match.
+    handleRename(file, oldPath) {
+        if (!renamePathKeys(this.positions, file, oldPath)) return;
+        for (const [path, position] of Object.entries(this.positions)) {
+            if (position.path !== path) this.positions[path] = { ...position, path };
+        }
+        this.scheduleSave();
+    }
+
+    // Forget the reading positions of deleted files
+    handleDelete(file) {
+        if (dropPathKeys(this.positions, file)) this.scheduleSave();
+    }
+
+    // Cancel pending work, writing out unsaved positions
+    stop() {
+        clearTimeout(this.restoreTimer);
+        clearTimeout(this.trackTimer);
+        if (this.saveTimer) { clearTimeout(this.saveTimer); this.saveTimer = null; this.plugin.savePluginData(); }
+    }
+}
+
+// --- ACTIONS ---
+
+// Sections of the help modal, in display order
+const HELP_SECTIONS = [
+    { title: "Navigating the page", column: 0 },
+    { title: "Files & Commands", column: 0 },
+    { title: "Using Marks", column: 0 },
+    { title: "Navigating history", column: 1 },
+    { title: "Using Find", column: 1 },
+    { title: "Manipulating tabs", column: 1 },
+    { title: "Miscellaneous", column: 1 },
+    { title: "Plugin actions", column: 1 }
+];
+
+// Number of times to repeat an action (the count prefix, e.g. '5' in '5t')
+const times = (ctx) => ctx.count || 1;
+
+// Build an action runner that executes an Obsidian command, repeated by the count prefix if 'counted'
+const runCommand = (id, counted = false) => (logic, ctx) => {
+    for (let i = 0; i < (counted ? times(ctx) : 1); i++) logic.app.commands.executeCommandById(id);
+};
+
+// Every named action a key sequence can be bound to. Each 'run' receives the VimiumLogic instance and a
+// context ({ event, doc, scrollTarget, isHelpMode, count }), and returns false if it did not handle the key.
+// 'inHelp' actions also run while the help modal is open; 'repeatable' actions change state and can be repeated with '.';
+// 'args' lists the help rows of actions that read a following key.
+const ACTIONS = {
+    scrollUp:                { section: "Navigating the page", desc: "Scroll up", inHelp: true, run: (logic, ctx) => logic.startScroll("up", ctx) },
+    scrollDown:              { section: "Navigating the page", desc: "Scroll down", inHelp: true, run: (logic, ctx) => logic.startScroll("down", ctx) },
+    scrollLeft:              { section: "Navigating the page", desc: "Scroll left", inHelp: true, run: (logic, ctx) => logic.startScroll("left", ctx) },
+    scrollRight:             { section: "Navigating the page", desc: "Scroll right", inHelp: true, run: (logic, ctx) => logic.startScroll("right", ctx) },
+    scrollToTop:             { section: "Navigating the page", desc: "Scroll to top", inHelp: true, run: (logic, ctx) => { if (ctx.scrollTarget) { logic.recordJump(ctx); smoothScrollTo(ctx.scrollTarget, 0, false, 'y'); } } },
+    scrollToBottom:          { section: "Navigating the page", desc: "Scroll to bottom", inHelp: true, run: (logic, ctx) => { if (ctx.scrollTarget) { logic.recordJump(ctx); smoothScrollTo(ctx.scrollTarget, 1.0, true, 'y'); } } },
+    scrollToLeft:            { section: "Navigating the page", desc: "Scroll to far left", inHelp: true, run: (logic, ctx) => { if (ctx.scrollTarget) smoothScrollTo(ctx.scrollTarget, 0, false, 'x'); } },
+    scrollToRight:           { section: "Navigating the page", desc: "Scroll to far right", inHelp: true, run: (logic, ctx) => { if (ctx.scrollTarget) smoothScrollTo(ctx.scrollTarget, 1.0, true, 'x'); } },
+    scrollPageUp:            { section: "Navigating the page", desc: "Scroll a half page up", inHelp: true, run: (logic, ctx) => logic.startScroll("halfPageUp", ctx) },
+    scrollPageDown:          { section: "Navigating the page", desc: "Scroll a half page down", inHelp: true, run: (logic, ctx) => logic.startScroll("halfPageDown", ctx) },
+    scrollFullPageUp:        { section: "Navigating the page", desc: "Scroll a full page up", inHelp: true, run: (logic, ctx) => logic.startScroll("pageUp", ctx) },
+    scrollFullPageDown:      { section: "Navigating the page", desc: "Scroll a full page down", inHelp: true, run: (logic, ctx) => logic.startScroll("pageDown", ctx) },
+    copyFilePath:            { section: "Navigating the page", desc: "Copy file path to clipboard", run: (logic) => logic.copyFilePath() },
+    linkHints:               { section: "Navigating the page", desc: "Open Link Hints", run: (logic, ctx) => logic.hintManager.start("click", ctx.doc) },
+    linkHintsNewTab:         { section: "Navigating the page", desc: "Open Link Hints in a new tab", run: (logic, ctx) => logic.hintManager.start("newTab", ctx.doc) },
+    linkHintsMulti:          { section: "Navigating the page", desc: "Open several links in new tabs", run: (logic, ctx) => logic.hintManager.start("multi", ctx.doc) },
+    linkHintsYank:           { section: "Navigating the page", desc: "Copy a link's target", run: (logic, ctx) => logic.hintManager.start("yank", ctx.doc) },
+    linkHintsHover:          { section: "Navigating the page", desc: "Show a link's hover preview", run: (logic, ctx) => logic.hintManager.start("hover", ctx.doc) },
+    linkHintsSplitRight:     { section: "Navigating the page", desc: "Open a link in a split to the right", run: (logic, ctx) => logic.hintManager.start("splitRight", ctx.doc) },
+    linkHintsSplitDown:      { section: "Navigating the page", desc: "Open a link in a split below", run: (logic, ctx) => logic.hintManager.start("splitDown", ctx.doc) },
+    linkHintsNewWindow:      { section: "Navigating the page", desc: "Open a link in a new window", run: (logic, ctx) => logic.hintManager.start("window", ctx.doc) },
+    linkHintsContextMenu:    { section: "Navigating the page", desc: "Open an element's context menu", run: (logic, ctx) => logic.hintManager.start("contextMenu", ctx.doc) },
+    focusScrollRegion:       { section: "Navigating the page", desc: "Scroll the next scrollable region", run: (logic, ctx) => logic.cycleScrollRegion(ctx) },
+    pickScrollRegion:        { section: "Navigating the page", desc: "Pick a region to scroll with hints", run: (logic, ctx) => logic.hintManager.start("scrollRegion", ctx.doc) },
+    enterInsertMode:         { section: "Navigating the page", desc: "Enter insert mode", run: (logic, ctx) => logic.enterInsertMode(ctx),
+                               helpRows: [[["esc"], "Leave insert mode"]] },
+    enterPassThroughMode:    { section: "Navigating the page", desc: "Pass all keys to Obsidian until esc (in any view)", run: (logic, ctx) => logic.setMode("insert", ctx.doc) },
+    passNextKey:             { section: "Navigating the page", desc: "Pass the next key to Obsidian", run: (logic, ctx) => logic.setMode("passNext", ctx.doc) },
+    enterVisualMode:         { section: "Navigating the page", desc: "Enter visual mode", run: (logic) => logic.visualMode.start("visual"),
+                               helpRows: [[["h", "l", "w", "b"], "Visual: move by character/word"], [["j", "k", "{", "}"], "Visual: move by line/paragraph"],
+                                          [["0", "$"], "Visual: line start/end"], [["o"], "Visual: swap selection ends"], [["c"], "Visual: caret mode"],
+                                          [["y", "Y"], "Visual: copy as text/Markdown"]] },
+    enterVisualLineMode:     { section: "Navigating the page", desc: "Enter visual line mode", run: (logic) => logic.visualMode.start("visualLine") },
+    previousHeading:         { section: "Navigating the page", desc: "Jump to previous heading", run: (logic, ctx) => logic.navigateToHeading(-1, times(ctx)) },
+    nextHeading:             { section: "Navigating the page", desc: "Jump to next heading", run: (logic, ctx) => logic.navigateToHeading(1, times(ctx)) },
+
+    openQuickSwitcher:       { section: "Files & Commands", desc: "Open quick switcher", run: (logic) => logic.openQuickSwitcher(false) },
+    openQuickSwitcherNewTab: { section: "Files & Commands", desc: "Open quick switcher in new tab", run: (logic) => logic.openQuickSwitcher(true) },
+    openCommandPalette:      { section: "Files & Commands", desc: "Open command palette", run: runCommand("command-palette:open") },
+    openBookmark:            { section: "Files & Commands", desc: "Open a bookmark", run: (logic) => logic.openBookmarks(false) },
+    openBookmarkNewTab:      { section: "Files & Commands", desc: "Open a bookmark in a new tab", run: (logic) => logic.openBookmarks(true) },
+    searchTabs:              { section: "Files & Commands", desc: "Search through open tabs", run: (logic) => new TabSearchModal(logic.app).open() },
+
+    createMark:              { section: "Using Marks", desc: "Create a new mark", run: (logic) => logic.markManager.startMarkCreation(),
+                               args: [["*", "Create a mark (a-z: this note, A-Z: global)"], ["d", "Clear local marks in this note"], ["l", "List/Search all marks"]] },
+    gotoMark:                { section: "Using Marks", desc: "Jump to a mark", run: (logic) => logic.markManager.startMarkJump(),
+                               args: [["*", "Jump to a mark"], ["`", "Jump back to the position before the last jump"]] },
+    listMarks:               { section: "Using Marks", desc: "List/Search all marks", run: (logic) => new MarkSearchModal(logic.plugin).open() },
+    clearMarks:              { section: "Using Marks", desc: "Clear local marks in this note", run: (logic) => logic.markManager.clearAllMarks() },
+
+    goBack:                  { section: "Navigating history", desc: "Go back in history", run: (logic, ctx) => { logic.goHistory(-1, times(ctx)); } },
+    goForward:               { section: "Navigating history", desc: "Go forward in history", run: (logic, ctx) => { logic.goHistory(1, times(ctx)); } },
+    jumpBack:                { section: "Navigating history", desc: "Go back in the jump list", run: (logic, ctx) => { logic.plugin.jumpList.back(times(ctx)); } },
+    jumpForward:             { section: "Navigating history", desc: "Go forward in the jump list", run: (logic, ctx) => { logic.plugin.jumpList.forward(times(ctx)); } },
+    showJumpList:            { section: "Navigating history", desc: "Search the jump list", run: (logic) => new JumpListModal(logic.plugin).open() },
+
+    enterFindMode:           { section: "Using Find", desc: "Enter find mode", run: (logic) => logic.plugin.findLogic.enterFindMode() },
+    performFind:             { section: "Using Find", desc: "Cycle forward to the next find match", run: (logic) => logic.plugin.findLogic.performFind(false) },
+    performBackwardsFind:    { section: "Using Find", desc: "Cycle backward to the previous find match", run: (logic) => logic.plugin.findLogic.performFind(true) },
+    findSelection:           { section: "Using Find", desc: "Search for the selected text", run: (logic, ctx) => logic.visualMode.searchSelection(ctx.doc) },
+
+    createTab:               { section: "Manipulating tabs", desc: "Create new tab", repeatable: true, run: runCommand("workspace:new-tab", true) },
+    previousTab:             { section: "Manipulating tabs", desc: "Go one tab left", run: runCommand("workspace:previous-tab", true) },
+    nextTab:                 { section: "Manipulating tabs", desc: "Go one tab right", run: runCommand("workspace:next-tab", true) },
+    gotoTab:                 { section: "Manipulating tabs", desc: "Go one tab right, or to tab N with a count", run: (logic, ctx) => logic.gotoTab(ctx.count) },
+    visitPreviousTab:        { section: "Manipulating tabs", desc: "Go to previously-visited tab", run: (logic) => logic.visitPreviousTab() },
+    firstTab:                { section: "Manipulating tabs", desc: "Go to the first tab", run: (logic) => logic.goToEdgeTab(false) },
+    lastTab:                 { section: "Manipulating tabs", desc: "Go to the last tab", run: (logic) => logic.goToEdgeTab(true) },
+    duplicateTab:            { section: "Manipulating tabs", desc: "Duplicate current tab", repeatable: true, run: (logic, ctx) => logic.duplicateTab(times(ctx)) },
+    togglePinTab:            { section: "Manipulating tabs", desc: "Pin/Unpin current tab", repeatable: true, run: runCommand("workspace:toggle-pin") },
+    removeTab:               { section: "Manipulating tabs", desc: "Close current tab", repeatable: true, run: runCommand("workspace:close", true) },
+    restoreTab:              { section: "Manipulating tabs", desc: "Restore closed tab", repeatable: true, run: (logic, ctx) => logic.restoreTab(times(ctx)) },
+    moveTabToNewWindow:      { section: "Manipulating tabs", desc: "Move tab to new window", run: runCommand("workspace:move-to-new-window") },
+    moveTabLeft:             { section: "Manipulating tabs", desc: "Move tab to the left", repeatable: true, run: (logic, ctx) => logic.moveTab(-times(ctx)) },
+    moveTabRight:            { section: "Manipulating tabs", desc: "Move tab to the right", repeatable: true, run: (logic, ctx) => logic.moveTab(times(ctx)) },
+    zoomIn:                  { section: "Manipulating tabs", desc: "Zoom in", repeatable: true, inHelp: true, run: (logic, ctx) => logic.adjustContentZoom(ctx, 0.1 * times(ctx)) },
+    zoomOut:                 { section: "Manipulating tabs", desc: "Zoom out", repeatable: true, inHelp: true, run: (logic, ctx) => logic.adjustContentZoom(ctx, -0.1 * times(ctx)) },
+    zoomReset:               { section: "Manipulating tabs", desc: "Reset zoom", repeatable: true, inHelp: true, run: (logic, ctx) => logic.resetContentZoom(ctx) },
+
+    reload:                  { section: "Miscellaneous", desc: "Reload Obsidian", run: runCommand("app:reload") },
+    openRandomNote:          { section: "Miscellaneous", desc: "Open a random new note", run: (logic) => logic.openRandomNote() },
+    openInDefaultApp:        { section: "Miscellaneous", desc: "Open file in default app", run: (logic) => logic.openInDefaultApp() },
+    repeatLastCommand:       { section: "Miscellaneous", desc: "Repeat the last tab or zoom command", run: (logic, ctx) => logic.repeatLastCommand(ctx) },
+    showHelp:                { section: "Miscellaneous", desc: "Show help", run: (logic) => new VimiumHelpModal(logic.plugin).open() }
+};
+
+// --- CANVAS AND GRAPH PANNING ---
+
+// Canvas and graph views have no scrollbars; they pan and zoom an unbounded plane. A PanSurface presents that plane
+// like a scrolling element (scrollTop, scrollHeight, scrollTo, ...) so the scroller and gg/G work unchanged: the
+// "document" is the box around all nodes, measured in screen pixels at the current zoom.
+class PanSurface {
+    constructor(el) {
+        this.el = el;
+        this.nodeBounds = undefined; // Box around the nodes for the current frame, null if there are none
+    }
+
+    get isConnected() { return this.el.isConnected; }
+    get ownerDocument() { return this.el.ownerDocument; }
+    get clientWidth() { return this.getViewport().width; }
+    get clientHeight() { return this.getViewport().height; }
+    get scrollWidth() { return this.getExtent("x"); }
+    get scrollHeight() { return this.getExtent("y"); }
+    get scrollLeft() { return this.getOffset("x"); }
+    set scrollLeft(value) { this.setOffset("x", value); }
+    get scrollTop() { return this.getOffset("y"); }
+    set scrollTop(value) { this.setOffset("y", value); }
+
+    getBoundingClientRect() { return this.el.getBoundingClientRect(); }
+    contains(node) { return this.el.contains(node); }
+
+    // Element-style scrolling. Canvas and graph views animate their own movement, so 'behavior' is ignored.
+    scrollTo({ left, top }) {
+        if (left !== undefined) this.scrollLeft = left;
+        if (top !== undefined) this.scrollTop = top;
+    }
+
+    // Box around the content in plane coordinates ({ minX, minY, maxX, maxY }), or the visible area if empty
+    getContentBounds() {
+        if (this.nodeBounds === undefined) {
+            this.nodeBounds = this.measureNodes();
+            // Nodes only move between frames, so the scroll getters share one measurement per frame
+            (this.el.ownerDocument.defaultView || window).requestAnimationFrame(() => { this.nodeBounds = undefined; });
+        }
+        if (this.nodeBounds) return this.nodeBounds;
+        const { x, y, width, height, scale } = this.getViewport();
+        return { minX: x, minY: y, maxX: x + width / scale, maxY: y + height / scale };
+    }
+
+    // Box around every node in plane coordinates, or null if there are none
+    measureNodes() {
+        const boxes = this.getNodeBoxes();
+        if (!boxes.length) return null;
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const box of boxes) {
+            if (box.minX < bounds.minX) bounds.minX = box.minX;
+            if (box.minY < bounds.minY) bounds.minY = box.minY;
+            if (box.maxX > bounds.maxX) bounds.maxX = box.maxX;
+            if (box.maxY > bounds.maxY) bounds.maxY = box.maxY;
+        }
+        return bounds;
+    }
+
+    // Scrollable length along an axis: the content box, or the viewport if the content fits
+    getExtent(axis) {
+        const bounds = this.getContentBounds();
+        const { width, height, scale } = this.getViewport();
+        return axis === "x" ? Math.max((bounds.maxX - bounds.minX) * scale, width) : Math.max((bounds.maxY - bounds.minY) * scale, height);
+    }
+
+    // Distance in screen pixels from the content box's edge to the viewport's
+    getOffset(axis) {
+        const bounds = this.getContentBounds();
+        const viewport = this.getViewport();
+        return axis === "x" ? (viewport.x - bounds.minX) * viewport.scale : (viewport.y - bounds.minY) * viewport.scale;
+    }
+
+    // Pan so the viewport's edge is 'value' screen pixels from the content box's. Like a scrolling element it stops
+    // at the content's edges, but a viewport already panned past them isn't pulled back.
+    setOffset(axis, value) {
+        const bounds = this.getContentBounds();
+        const viewport = this.getViewport();
+        const current = this.getOffset(axis);
+        const max = this.getExtent(axis) - (axis === "x" ? viewport.width : viewport.height);
+        const clamped = Math.min(Math.max(value, Math.min(0, current)), Math.max(max, current));
+        if (axis === "x") this.panTo(bounds.minX + clamped / viewport.scale, viewport.y);
+        else this.panTo(viewport.x, bounds.minY + clamped / viewport.scale);
+    }
+}
+
+// Canvas view: the viewport is kept as its centre and a base-2 zoom level, which the canvas animates towards
+class CanvasPanSurface extends PanSurface {
+    constructor(canvas) {
+        super(canvas.wrapperEl);
+        this.canvas = canvas;
+    }
+
+    // Visible area: top-left corner in plane coordinates, size in screen pixels and the scale between them
+    getViewport() {
+        const { tx, ty, tZoom } = this.canvas;
+        const scale = Math.pow(2, tZoom), width = this.el.clientWidth, height = this.el.clientHeight;
+        return { x: tx - width / (2 * scale), y: ty - height / (2 * scale), width, height, scale };
+    }
+
+    // Move the viewport's top-left corner to (x, y) in plane coordinates
+    panTo(x, y) {
+        const { width, height, scale } = this.getViewport();
+        this.canvas.setViewport(x + width / (2 * scale), y + height / (2 * scale), this.canvas.tZoom);
+    }
+
+    // Bounding boxes of every card, group and file on the canvas
+    getNodeBoxes() {
+        return Array.from(this.canvas.nodes.values()).map(node => node.getBBox());
+    }
+
+    getScale() { return Math.pow(2, this.canvas.tZoom); }
+
+    // Zoom by a fraction of the current scale, keeping the centre in place
+    zoomBy(delta) { this.canvas.zoomBy(Math.log2(1 + delta)); }
+
+    resetZoom() { this.canvas.setViewport(this.canvas.tx, this.canvas.ty, 0); }
+}
+
+// The renderer of a graph or local graph view
+function getGraphRenderer(view) {
+    return view.renderer || view.engine?.renderer || null;
+}
+
+// Graph view: the renderer draws each node at (node.x * scale + panX, node.y * scale + panY)
+class GraphPanSurface extends PanSurface {
+    constructor(view) {
+        super(view.contentEl);
+        this.view = view;
+    }
+
+    get renderer() { return getGraphRenderer(this.view); }
+
+    getViewport() {
+        const { panX, panY, scale, width, height } = this.renderer;
+        return { x: -panX / scale, y: -panY / scale, width, height, scale };
+    }
+
+    panTo(x, y) {
+        const renderer = this.renderer;
+        renderer.setPan(-x * renderer.scale, -y * renderer.scale);
+        renderer.changed();
+    }
+
+    // Graph nodes are points; they're given no size
+    getNodeBoxes() {
+        return this.renderer.nodes.map(node => ({ minX: node.x, minY: node.y, maxX: node.x, maxY: node.y }));
+    }
+
+    getScale() { return this.renderer.scale; }
+
+    // Zoom by a fraction of the current scale, keeping the plane point at the centre of the view in place
+    zoomBy(delta) { this.setScale(this.renderer.scale * (1 + delta)); }
+
+    resetZoom() { this.setScale(1); }
+
+    // Change the scale around the centre of the view
+    setScale(scale) {
+        const renderer = this.renderer;
+        const { x, y, width, height, scale: oldScale } = this.getViewport();
+        const centreX = x + width / (2 * oldScale), centreY = y + height / (2 * oldScale);
+        renderer.scale = renderer.targetScale = scale;
+        renderer.setPan(width / 2 - centreX * scale, height / 2 - centreY * scale);
+        renderer.changed();
+    }
+}
+
+// --- SMOOTH SCROLLER ---
+
+// Scroll motions: axis, direction, and for page motions the fraction of the visible area to move
+const SCROLL_MOTIONS = {
+    up: { axis: "y", dir: -1 }, down: { axis: "y", dir: 1 }, left: { axis: "x", dir: -1 }, right: { axis: "x", dir: 1 },
+    halfPageUp: { axis: "y", dir: -1, page: 0.5 }, halfPageDown: { axis: "y", dir: 1, page: 0.5 },
+    pageUp: { axis: "y", dir: -1, page: 1 }, pageDown: { axis: "y", dir: 1, page: 1 }
+};
+
+// How quickly an animated jump closes in on its target: the remaining distance shrinks by e every this many ms
+const SCROLL_EASING_MS = 60;
+
+// Animation loop driven by requestAnimationFrame. Distances depend on the time between frames, not on how
+// often frames arrive, so scrolling runs at the same speed on any display and costs nothing when idle.
+class SmoothScroller {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.el = null;
+        this.frame = null;
+        this.lastTime = null;
+        this.remaining = { x: 0, y: 0 }; // Distance of animated jumps still to cover
+        this.carry = { x: 0, y: 0 };     // Sub-pixel remainder the element couldn't take yet
+        this.held = null;                // { axis, dir, startTime } while a scroll key is held down
+    }
+
+    // Check whether a key is being held down
+    isHolding() {
+        return this.held !== null;
+    }
+
+    // Animate a scroll of 'distance' pixels, on top of any jump still in progress
+    jump(el, axis, distance) {
+        this.setElement(el);
+        this.remaining[axis] += distance;
+        this.run();
+    }
+
+    // Scroll continuously along 'axis' until release(), speeding up as configured in settings
+    hold(el, axis, dir) {
+        this.setElement(el);
+        this.held = { axis, dir, startTime: performance.now() };
+        this.run();
+    }
+
+    // Stop continuous scrolling. A jump still in progress finishes.
+    release() {
+        this.held = null;
+    }
+
+    // Stop everything at once
+    stop() {
+        this.held = null;
+        this.remaining = { x: 0, y: 0 };
+        this.carry = { x: 0, y: 0 };
+        if (this.frame !== null) (this.el?.ownerDocument.defaultView || window).cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.lastTime = null;
+    }
+
+    // Moving to another element drops whatever was planned for the old one
+    setElement(el) {
+        if (el !== this.el) { this.stop(); this.el = el; }
+    }
+
+    // Start the frame loop if it isn't running
+    run() {
+        if (this.frame !== null) return;
+        const win = this.el.ownerDocument.defaultView || window;
+        this.frame = win.requestAnimationFrame(time => this.step(time));
+    }
+
+    // Move by however far the elapsed time allows, then schedule the next frame while there is more to do
+    step(time) {
+        this.frame = null;
+        if (!this.el?.isConnected) { this.stop(); return; }
+        // The first frame has no previous time; long gaps (a busy main thread) are capped to avoid a lurch
+        const dt = this.lastTime === null ? 1000 / 60 : Math.min(time - this.lastTime, 50);
+        this.lastTime = time;
+
+        for (const axis of ["x", "y"]) {
+            let delta = 0;
+            if (this.remaining[axis]) {
+                const move = this.remaining[axis] * (1 - Math.exp(-dt / SCROLL_EASING_MS));
+                const done = Math.abs(this.remaining[axis] - move) < 0.5;
+                delta += done ? this.remaining[axis] : move;
+                this.remaining[axis] = done ? 0 : this.remaining[axis] - move;
+            }
+            if (this.held?.axis === axis) delta += this.held.dir * this.getHoldSpeed(time) * dt / 1000;
+            if (delta && !this.scrollBy(axis, delta)) this.remaining[axis] = 0; // Stuck at an edge
+        }
+
+        if (this.held || this.remaining.x || this.remaining.y) this.run();
+        else { this.lastTime = null; this.carry = { x: 0, y: 0 }; }
+    }
+
+    // Held-key speed in pixels per second, ramping from 'smoothScrollStart' to 'smoothScrollEnd' times the base speed
+    getHoldSpeed(time) {
+        const { scrollHoldSpeed, smoothScrollDuration: dur, smoothScrollStart: start, smoothScrollEnd: max, smoothScrollCurve: curve } = this.plugin.settings;
+        const t = Math.min(1, (time - this.held.startTime) / dur);
+        return scrollHoldSpeed * (start + (max - start) * Math.pow(t, curve));
+    }
+
+    // Apply a (possibly fractional) scroll, keeping what the element rounded away for the next frame.
+    // Returns false if the element can't move any further that way.
+    scrollBy(axis, delta) {
+        const prop = axis === "x" ? "scrollLeft" : "scrollTop";
+        const before = this.el[prop];
+        const target = before + delta + this.carry[axis];
+        this.el[prop] = target;
+        const moved = this.el[prop] !== before;
+        this.carry[axis] = moved || Math.abs(target - before) < 1 ? target - this.el[prop] : 0;
+        return moved || Math.abs(target - before) < 1;
+    }
+}
+
 // --- CORE LOGIC ---
 
 class VimiumLogic {
@@ -642,29 +2675,20 @@ class VimiumLogic {
         this.plugin = plugin;
         this.app = plugin.app;
         this.keyBuffer = "";
+        this.pendingNode = null;
         this.bufferTimeout = null;
-        this.scrollInterval = null;
-        this.currentScrollKey = null;
-        this.currentZoom = 1.0;
+        this.count = "";
+        this.pendingEl = null;
+        this.lastCommand = null; // { binding, count } of the last repeatable command, for '.'
+        this.mode = "normal";    // "normal", "insert" (every key passes through) or "passNext" (one key passes through)
+        this.scroller = new SmoothScroller(plugin);
+        this.currentScrollCode = null; // event.code of the held scroll key, so its keyup ends the scroll
+        this.scrollRegion = null; // Element picked with 'gf'/'gF' that scrolling keys act on instead of the active view
         this.hintManager = new LinkHintManager(plugin);
+        this.visualMode = new VisualModeManager(plugin);
         this.markManager = plugin.markManager;
     }
 
-    // Locate the line number of a currently highlighted search match
-    getLineOfActiveMatch(view) {
-        try {
-            const activeMatchEl = view.previewMode.containerEl.querySelector(".search-highlight > div.is-active");
-            if (!activeMatchEl) return null;
-            const renderer = view.previewMode.renderer;
-            if (renderer?.sections) {
-                for (const section of renderer.sections) {
-                    if (section.el.contains(activeMatchEl)) return section.lineStart;
-                }
-            }
-        } catch (e) { console.error("Vimium: Failed to map DOM to Line", e); }
-        return null;
-    }
-
     // Mask embeds and links to prevent Regex matching inside URL definitions
     getSearchableContent(rawText) {
         return rawText
@@ -713,35 +2737,53 @@ class VimiumLogic {
             scrollTarget = helpContent.closest(".modal");
             isHelpMode = true;
         } else if (!activeModal) {
-            scrollTarget = getScrollElement(this.app.workspace.activeLeaf?.view);
+            scrollTarget = this.getScrollTarget();
         }
 
         if (activeModal && !isHelpMode) return;
         if (["Shift", "Control", "Alt", "Meta"].includes(event.key)) return;
+
+        // Pass-through modes leave keys to Obsidian; Escape returns from insert mode to normal mode
+        if (this.mode === "passNext") { this.setMode("normal", doc); return; }
+        if (this.mode === "insert") {
+            if (event.key === "Escape") {
+                this.setMode("normal", doc);
+                event.preventDefault(); event.stopPropagation();
+            }
+            return;
+        }
         
         if (this.hintManager.isActive()) {
             this.hintManager.handleKey(event.key);
+            this.plugin.statusBar?.update();
             event.preventDefault(); 
             event.stopImmediatePropagation(); // Prevents FindLogic from running
             return;
         }
 
+        if (this.visualMode.isActive()) {
+            if (this.visualMode.handleKey(event)) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+            }
+            this.plugin.statusBar?.update();
+            return;
+        }
+
+        // Exclusion rules either switch Vimium off for this view or let some keys through to it
+        const exclusion = isHelpMode ? null : this.getExclusion();
+        if (exclusion && !exclusion.passKeys) return;
+
         if (this.markManager.isActive()) {
             if (this.markManager.handleKey(event)) { 
                 event.preventDefault(); 
                 event.stopImmediatePropagation(); // Prevents FindLogic from running
             }
+            this.plugin.statusBar?.update();
             return;
         }
 
-        let key = event.key;
-        if (event.shiftKey) {
-            if (key === ",") key = "<";
-            if (key === ".") key = ">";
-        }
-
-        const lowerKey = key.toLowerCase();
-        const { ctrlKey: isCtrl, shiftKey: isShift, altKey: isAlt, metaKey: isMeta } = event;
+        const key = event.key;
 
         // Bail out early if we shouldn't handle keys (e.g., actively typing in an editor)
         // EXCEPT for the Escape key, which we need to evaluate for Vim Normal mode transitions.
@@ -756,6 +2798,7 @@ class VimiumLogic {
         }
 
         if (key === "Escape") {
+            this.clearPending();
             if (isHelpMode) return; 
             
             const view = this.app.workspace.getActiveViewOfType(MarkdownView);
@@ -774,281 +2817,301 @@ class VimiumLogic {
             return;
         }
         
-        // 'f' -> Link Hints
-        if (lowerKey === "f" && !isCtrl && !isAlt && !isMeta && !isHelpMode) {
-            this.hintManager.start(isShift, doc); 
+        // --- KEY SEQUENCES ---
+
+        const token = getKeyToken(event);
+        if (exclusion?.passKeys.has(token) && !this.count && !this.pendingNode) return;
+        if (this.isCountKey(token)) {
+            this.count += token;
+            this.updateIndicator(doc);
             event.preventDefault(); return;
         }
 
-        // --- BUFFER SEQUENCES ---
-
-        if (this.keyBuffer.length > 0 && !isCtrl && !isAlt && !isMeta) {
-            const sequence = this.keyBuffer + key;
-            let matched = true;
-
-            switch (sequence) {
-                case "gg": if (scrollTarget) smoothScrollTo(scrollTarget, 0, false, 'y'); break;
-                case "zH": if (scrollTarget) smoothScrollTo(scrollTarget, 0, false, 'x'); break;
-                case "zL": if (scrollTarget) smoothScrollTo(scrollTarget, 1.0, true, 'x'); break;
-                case "gt": this.app.commands.executeCommandById("workspace:next-tab"); break;
-                case "gT": this.app.commands.executeCommandById("workspace:previous-tab"); break;
-                case "zi": if (scrollTarget) this.adjustContentZoom(scrollTarget, 0.1); break;
-                case "zo": if (scrollTarget) this.adjustContentZoom(scrollTarget, -0.1); break;
-                case "z0": if (scrollTarget) this.resetContentZoom(scrollTarget); break;
-                case "[[": if (!isHelpMode) this.navigateToHeading(-1); break;
-                case "]]": if (!isHelpMode) this.navigateToHeading(1); break;
-                case "<<": if (!isHelpMode) this.moveTab(-1); break;
-                case ">>": if (!isHelpMode) this.moveTab(1); break;
-                case "gs": 
-                    const f = this.app.workspace.getActiveFile();
-                    if (f) { this.app.openWithDefaultApp(f.path); new Notice(`Opening ${f.name}...`); }
-                    break;
-                case "g0": case "g$":
-                    const l = this.app.workspace.activeLeaf;
-                    if (l?.parent?.children) {
-                        const siblings = l.parent.children.filter(c => c.view);
-                        const target = sequence === "g0" ? siblings[0] : siblings[siblings.length - 1];
-                        if (target && target !== l) this.app.workspace.setActiveLeaf(target, { focus: true });
-                    }
-                    break;
-                case "yt": 
-                case "yy":
-                     const file = this.app.workspace.getActiveFile();
-                     if (file) {
-                         if (sequence === "yt") this.app.workspace.getLeaf('tab').openFile(file);
-                         else { navigator.clipboard.writeText(file.path); new Notice(`Yanked ${file.path}`); }
-                     }
-                     break;
-                default: matched = false;
-            }
+        const ctx = { event, doc, scrollTarget, isHelpMode };
+        const match = this.matchKeySequence(token, ctx);
+        if (match?.pending) { event.preventDefault(); return; }
 
-            this.clearKeyBuffer();
-            if (matched) { event.preventDefault(); return; }
+        ctx.count = this.count ? parseInt(this.count, 10) : null;
+        this.clearPending();
+        if (!match) return;
+
+        if (this.runBinding(match.binding, ctx) !== false) {
+            event.preventDefault();
+            // Keep Obsidian hotkeys on the same keys (Ctrl+O opens the quick switcher) from running as well
+            if (/^<[cam]-/.test(token)) event.stopPropagation();
         }
+    }
 
-        if (this.keyBuffer === "" && !isCtrl && !isAlt && !isMeta &&
-           "gyz[]<>".includes(key)) {
-            this.addToBuffer(key);
-            event.preventDefault(); return;
+    // Digits start (or extend) a count prefix, unless they are bound or continue a key sequence
+    isCountKey(key) {
+        if (this.pendingNode || !/^[0-9]$/.test(key) || (key === "0" && !this.count)) return false;
+        const keymap = this.plugin.keymap;
+        return !keymap.get(key) && !keymap.isPrefix(key);
+    }
+
+    // Switch between capturing keys ("normal") and letting them through ("insert", "passNext")
+    setMode(mode, doc = document) {
+        this.mode = mode;
+        this.clearPending();
+        this.updateIndicator(doc);
+    }
+
+    // Show the pass-through mode, or the pending count and keys, in the corner of the window
+    updateIndicator(doc) {
+        const modeLabel = { insert: "-- INSERT --", passNext: "-- PASS NEXT KEY --" }[this.mode];
+        const text = modeLabel || this.count + this.keyBuffer;
+        if (!text) { this.pendingEl?.remove(); this.pendingEl = null; this.plugin.statusBar?.update(); return; }
+        if (!this.pendingEl || this.pendingEl.ownerDocument !== doc) {
+            this.pendingEl?.remove();
+            this.pendingEl = doc.body.createDiv({ cls: "vimium-pending-keys" });
         }
+        this.pendingEl.setText(text);
+        this.pendingEl.toggleClass("vimium-mode-indicator", !!modeLabel);
+        this.plugin.statusBar?.update();
+    }
 
-        if (key === "?" && !isCtrl && !isAlt && !isMeta) {
-            new VimiumHelpModal(this.app).open();
-            event.preventDefault(); return;
+    // Forget the count prefix and any half-typed sequence
+    clearPending() {
+        this.count = "";
+        this.clearKeyBuffer();
+        this.pendingEl?.remove();
+        this.pendingEl = null;
+        this.plugin.statusBar?.update();
+    }
+
+    // Walk the keymap trie one key at a time. Returns { binding } for a complete sequence,
+    // { pending: true } while more keys can follow, or null if the key is not bound.
+    matchKeySequence(key, ctx) {
+        let node = this.pendingNode?.children.get(key);
+        if (node) {
+            this.keyBuffer += key;
+        } else {
+            // The key does not continue the sequence, so an ambiguous prefix runs its own binding first
+            if (this.pendingNode?.binding) this.runPendingBinding(ctx);
+            this.clearKeyBuffer();
+            node = this.plugin.keymap.root.children.get(key);
+            if (!node) return null;
+            this.keyBuffer = key;
         }
 
-        // --- SCROLLING ---
+        if (!node.children.size) return { binding: node.binding };
+        this.addToBuffer(node, ctx);
+        return { pending: true };
+    }
 
-        if (scrollTarget && !isShift && !isCtrl && !isAlt && !isMeta && "jkduhl".includes(lowerKey)) {
-            if (event.repeat) { event.preventDefault(); return; }
-            
-            if (this.scrollInterval === null) {
-                this.currentScrollKey = lowerKey;
-                this.scrollStartTime = Date.now();
-                this.performScroll(scrollTarget, lowerKey, false, 1.0);
-                
-                this.scrollInterval = setInterval(() => {
-                    const target = isHelpMode ? doc.querySelector(".vimium-help-modal")?.closest(".modal") 
-                                              : getScrollElement(this.app.workspace.activeLeaf?.view);
-                    if (target && this.currentScrollKey) {
-                        const { smoothScrollDuration: dur, smoothScrollStart: start, smoothScrollEnd: max, smoothScrollCurve: curveP } = this.plugin.settings;
-                        const t = Math.min(1, (Date.now() - this.scrollStartTime) / dur);
-                        const velocity = start + (max - start) * Math.pow(t, curveP); 
-                        this.performScroll(target, this.currentScrollKey, true, velocity);
-                    } else this.stopScroll();
-                }, this.plugin.settings.repeatInterval);
+    // Run the binding of a sequence that is both bound and a prefix of longer sequences
+    runPendingBinding(ctx) {
+        const binding = this.pendingNode.binding;
+        const count = this.count ? parseInt(this.count, 10) : null;
+        this.clearPending();
+        // The triggering key was not part of this binding, so actions must not treat it as held down
+        this.runBinding(binding, { ...ctx, event: null, count });
+    }
+
+    // Execute a keymap binding: either a named action or "command:<obsidian-command-id>".
+    // A command becomes repeatable with '.' once it has run, unless it was mapped with 'norepeat'.
+    runBinding(binding, ctx) {
+        if (binding.startsWith("command:")) {
+            if (ctx.isHelpMode) return false;
+            const id = binding.slice("command:".length);
+            for (let i = 0; i < times(ctx); i++) {
+                if (!this.app.commands.executeCommandById(id)) { new Notice(`Unknown command: ${id}`); return; }
             }
-            event.preventDefault(); return;
+            if (!this.plugin.keymap.noRepeat.has(binding)) this.lastCommand = { binding, count: ctx.count };
+            return;
         }
+        const action = ACTIONS[binding];
+        if (!action || (ctx.isHelpMode && !action.inHelp)) return false;
+        if (action.repeatable) this.lastCommand = { binding, count: ctx.count };
+        return action.run(this, ctx);
+    }
 
-        if (!isCtrl && !isAlt && !isMeta && !isHelpMode) {
-            // Marks
-            if (lowerKey === 'm') { this.markManager.startMarkCreation(); event.preventDefault(); return; }
-            if (key === '`') { this.markManager.startMarkJump(); event.preventDefault(); return; }
-            
-            // Bookmarks
-            if (lowerKey === "b") {
-                const originLeaf = isShift ? this.app.workspace.activeLeaf : null;
-                if (isShift) this.app.commands.executeCommandById("workspace:new-tab");
-                const modal = new BookmarkSearchModal(this.plugin.app, isShift, originLeaf);
-                modal.open();
-                event.preventDefault(); return;
-            }
+    // Run an action outside of a key press, e.g. from the command palette or an Obsidian hotkey
+    runAction(name) {
+        const view = this.app.workspace.activeLeaf?.view;
+        const ctx = { event: null, doc: view?.containerEl.ownerDocument || document, scrollTarget: this.getScrollTarget(), isHelpMode: false, count: null };
+        this.clearPending();
+        this.runBinding(name, ctx);
+        this.plugin.statusBar?.update();
+    }
 
-            // Quick Switcher logic
-            if (lowerKey === "o") {
-                if (isShift) {
-                     const origin = this.app.workspace.activeLeaf;
-                     this.app.commands.executeCommandById("workspace:new-tab");
-                     const target = this.app.workspace.activeLeaf;
-                     this.app.commands.executeCommandById("switcher:open");
-                     setTimeout(() => {
-                        const modal = target?.view?.contentEl?.ownerDocument.querySelector('.modal-container .prompt');
-                        if (modal) {
-                            const timer = setInterval(() => {
-                                if (!modal.isConnected) {
-                                    clearInterval(timer);
-                                    if (target.view.getViewType() === "empty") {
-                                        target.detach();
-                                        if (origin) this.app.workspace.setActiveLeaf(origin, { focus: true });
-                                    }
-                                }
-                            }, 100);
-                        }
-                     }, 250);
-                } else this.app.commands.executeCommandById("switcher:open");
-                event.preventDefault(); return;
-            }
+    // Vim's '.': run the last repeatable command again. A new count replaces the recorded one.
+    repeatLastCommand(ctx) {
+        if (!this.lastCommand) { new Notice("No command to repeat."); return; }
+        const { binding, count } = this.lastCommand;
+        this.runBinding(binding, { ...ctx, event: null, count: ctx.count || count });
+    }
 
-            // Standard Commands
-            if (lowerKey === 't') {
-                 if (isShift) new TabSearchModal(this.plugin.app).open();
-                 else this.app.commands.executeCommandById("workspace:new-tab");
-                 event.preventDefault(); return;
-            }
-            if (lowerKey === 'w' && isShift) {
-                 this.app.commands.executeCommandById("workspace:move-to-new-window");
-                 event.preventDefault(); return;
-            }
-            if (lowerKey === 'e' && !isShift) {
-                 this.app.commands.executeCommandById("command-palette:open");
-                 event.preventDefault(); return;
-            }
-            if (lowerKey === 'p' && !isShift) {
-                 this.app.commands.executeCommandById("workspace:toggle-pin");
-                 event.preventDefault(); return;
-            }
-            if (lowerKey === 'r' && !isShift) {
-                 this.app.commands.executeCommandById("app:reload");
-                 event.preventDefault(); return;
-            }
+    // Scroll one step (or page) per press. Once the key starts auto-repeating, step keys scroll continuously with
+    // acceleration until released, and page keys keep paging.
+    startScroll(motion, ctx) {
+        const { event, scrollTarget } = ctx;
+        if (!scrollTarget) return false;
+        const { axis, dir, page } = SCROLL_MOTIONS[motion];
 
-            // Tabs / History
-            if (lowerKey === "x") {
-                if (isShift) {
-                     if (this.app.workspace.recentLeaves?.length === 0) new Notice("No closed tabs to restore.");
-                     else this.app.commands.executeCommandById("workspace:undo-close-pane");
-                } else this.app.commands.executeCommandById("workspace:close");
-                event.preventDefault(); return;
-            }
+        if (event?.repeat) {
+            if (page) this.scroller.jump(scrollTarget, axis, this.getScrollDistance(scrollTarget, motion));
+            else if (!this.scroller.isHolding()) this.scroller.hold(scrollTarget, axis, dir);
+            return;
+        }
+        this.currentScrollCode = event?.code ?? null;
+        this.scroller.jump(scrollTarget, axis, this.getScrollDistance(scrollTarget, motion) * times(ctx));
+    }
 
-            if (key === "^") {
-                const prev = this.plugin.previousLeaf;
-                if (prev?.parent) this.app.workspace.setActiveLeaf(prev, { focus: true });
-                else new Notice("No previous tab found.");
-                event.preventDefault(); return;
-            }
+    // Signed distance in pixels of one scroll motion: the step size, or a fraction of the visible area
+    getScrollDistance(el, motion) {
+        const { axis, dir, page } = SCROLL_MOTIONS[motion];
+        if (!page) return dir * this.plugin.settings.scrollStepSize;
+        return dir * page * (axis === "y" ? el.clientHeight : el.clientWidth);
+    }
 
-            if (isShift && (lowerKey === "j" || lowerKey === "k")) {
-                this.app.commands.executeCommandById(lowerKey === "j" ? "workspace:previous-tab" : "workspace:next-tab");
-                event.preventDefault(); return;
-            }
+    // 'i': in Reading view, switch to the editor (landing on the active find match if there is one).
+    // Everywhere else, stop capturing keys until Escape so the view can use them.
+    enterInsertMode(ctx) {
+        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (view?.getMode() !== "preview") { this.setMode("insert", ctx.doc); return; }
+        ctx.event?.stopPropagation();
+        this.switchToEditor(view);
+    }
 
-            if (isShift && (lowerKey === "h" || lowerKey === "l")) {
-                this.goHistory(lowerKey === "h" ? -1 : 1);
-                event.preventDefault(); return;
+    // Toggle a Reading view into source mode and drop into Vim insert mode
+    async switchToEditor(view) {
+        // 1.0 Gather search data (If HUD is active)
+        const find = this.plugin.findLogic;
+        const activeMatch = find?.finder?.getActiveMatch() ?? null;
+        if (find?.searchHud) find.closeSearchHud();
+
+        // 2.0 Unified toggle
+        const leaf = view.leaf;
+        const viewState = leaf.getViewState();
+        viewState.state.mode = 'source';
+        await leaf.setViewState(viewState);
+
+        // Re-fetch view to ensure we have the editor after state change
+        const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!activeView || !activeView.editor) return;
+        
+        const editor = activeView.editor;
+        editor.focus();
+
+        // 3.0 Jump to the active match: the same occurrence of the query within the same section of the source.
+        // Markdown syntax can make the source differ from the rendered text, so fall back to the section's start.
+        if (activeMatch && activeMatch.line !== null) {
+            const { regex, line, lineEnd, nth } = activeMatch;
+            const content = this.getSearchableContent(editor.getValue());
+            const sectionStart = editor.posToOffset({ line, ch: 0 });
+            const sectionEnd = lineEnd !== null && lineEnd + 1 < editor.lineCount() ? editor.posToOffset({ line: lineEnd + 1, ch: 0 }) : content.length;
+            const found = [];
+            regex.lastIndex = sectionStart;
+            let match;
+            while (found.length <= nth && (match = regex.exec(content)) !== null && match.index < sectionEnd) {
+                if (!match[0].length) { regex.lastIndex++; continue; }
+                found.push(match);
             }
+            const target = found[Math.min(nth, found.length - 1)];
+            const pos = editor.offsetToPos(target ? target.index : sectionStart);
+            editor.setCursor(pos);
+            editor.scrollIntoView({ from: pos, to: pos }, true);
+            if (target) this.triggerFlash(editor.cm, target.index, target[0].length, activeView.contentEl.ownerDocument);
+        }
 
-            if (lowerKey === "r" && isShift) {
-                const files = this.app.vault.getMarkdownFiles();
-                if (files.length) this.app.workspace.getLeaf(true).openFile(files[Math.floor(Math.random() * files.length)]);
-                event.preventDefault(); return;
-            }
+        // Drop into Insert Mode
+        if (window.CodeMirror?.Vim) window.CodeMirror.Vim.handleKey(editor.cm, 'i', 'user');
+    }
 
-            if (isShift && lowerKey === "g") {
-                if (scrollTarget) smoothScrollTo(scrollTarget, 1.0, true, 'y');
-                event.preventDefault(); return;
+    // Open the quick switcher, optionally in a new tab that is discarded if nothing is chosen
+    openQuickSwitcher(newTab) {
+        if (!newTab) { this.app.commands.executeCommandById("switcher:open"); return; }
+
+        const origin = this.app.workspace.activeLeaf;
+        this.app.commands.executeCommandById("workspace:new-tab");
+        const target = this.app.workspace.activeLeaf;
+        this.app.commands.executeCommandById("switcher:open");
+        setTimeout(() => {
+            const modal = target?.view?.contentEl?.ownerDocument.querySelector('.modal-container .prompt');
+            if (modal) {
+                const timer = setInterval(() => {
+                    if (!modal.isConnected) {
+                        clearInterval(timer);
+                        if (target.view.getViewType() === "empty") {
+                            target.detach();
+                            if (origin) this.app.workspace.setActiveLeaf(origin, { focus: true });
+                        }
+                    }
+                }, 100);
             }
-        }
+        }, 250);
+    }
 
-        // --- 'i' -> SMART INSERT ---
+    // Open the bookmark picker, optionally in a new tab
+    openBookmarks(newTab) {
+        const originLeaf = newTab ? this.app.workspace.activeLeaf : null;
+        if (newTab) this.app.commands.executeCommandById("workspace:new-tab");
+        new BookmarkSearchModal(this.plugin.app, newTab, originLeaf).open();
+    }
 
-        if (lowerKey === "i" && !isCtrl && !isAlt && !isMeta && !isShift && !isHelpMode) {
-            let view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    // Reopen the most recently closed tab(s)
+    restoreTab(count = 1) {
+        if (this.app.workspace.recentLeaves?.length === 0) { new Notice("No closed tabs to restore."); return; }
+        for (let i = 0; i < count; i++) this.app.commands.executeCommandById("workspace:undo-close-pane");
+    }
 
-            
-            if (view?.getMode() === "preview") {
-                event.preventDefault(); event.stopPropagation();
+    // Switch back to the tab that was active before the current one
+    visitPreviousTab() {
+        const prev = this.plugin.previousLeaf;
+        if (prev?.parent) this.app.workspace.setActiveLeaf(prev, { focus: true });
+        else new Notice("No previous tab found.");
+    }
 
-                // 1.0 Gather search data (If HUD is active)
-                let searchQuery = "";
-                let targetIndex = 0;
-                let nativeLine = null;
-                const find = this.plugin.findLogic;
-
-                if (find && find.searchHud) {
-                    try {
-                        nativeLine = this.getLineOfActiveMatch(view);
-                        
-                        // 1.1 Try to get query from active HUD first
-                        if (find.inputEl && find.inputEl.value) searchQuery = find.inputEl.value;
-                        
-                        // 1.2 Try to get the index (1/5) from HUD
-                        if (find.countEl) {
-                            const parts = find.countEl.innerText?.split('/');
-                            if (parts?.length) targetIndex = parseInt(parts[0].trim(), 10) - 1;
-                        }
-                        
-                        find.closeSearchHud();
-                    } catch (e) {
-                        console.log("Vimium: Error gathering search data", e);
-                    }
-                }
+    // Go to the Nth tab in the current tab group, or one tab right without a count (Vim's '{count}gt')
+    gotoTab(number) {
+        if (!number) { this.app.commands.executeCommandById("workspace:next-tab"); return; }
+        const l = this.app.workspace.activeLeaf;
+        const siblings = l?.parent?.children?.filter(c => c.view) || [];
+        const target = siblings[number - 1];
+        if (!target) new Notice(`There is no tab ${number}.`);
+        else if (target !== l) this.app.workspace.setActiveLeaf(target, { focus: true });
+    }
 
-                // 2.0 Unified toggle
-                const leaf = view.leaf;
-                const viewState = leaf.getViewState();
-                viewState.state.mode = 'source';
-                await leaf.setViewState(viewState);
-
-                // Re-fetch view to ensure we have the editor after state change
-                const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-                if (!activeView || !activeView.editor) return;
-                
-                const editor = activeView.editor;
-                editor.focus();
-
-                // 3.0 Attempt jump (Only if we have data)
-                if (!searchQuery && nativeLine === null) {
-                    if (window.CodeMirror?.Vim) window.CodeMirror.Vim.handleKey(editor.cm, 'i', 'user');
-                    return;
-                }
+    // Activate the first or last tab in the current tab group
+    goToEdgeTab(last) {
+        const l = this.app.workspace.activeLeaf;
+        if (!l?.parent?.children) return;
+        const siblings = l.parent.children.filter(c => c.view);
+        const target = last ? siblings[siblings.length - 1] : siblings[0];
+        if (target && target !== l) this.app.workspace.setActiveLeaf(target, { focus: true });
+    }
 
-                if (targetIndex < 0) targetIndex = 0;
-                let found = false;
-
-                // Regex Strategy
-                if (searchQuery) {
-                    const regex = new RegExp(escapeRegExp(searchQuery), "gi");
-                    const content = this.getSearchableContent(editor.getValue());
-                    let match, count = 0;
-                    while ((match = regex.exec(content)) !== null) {
-                        if (count === targetIndex) {
-                            const pos = editor.offsetToPos(match.index);
-                            editor.setCursor(pos);
-                            editor.scrollIntoView({ from: pos, to: pos }, true);
-                            
-                            // passing activeView instead of the stale view
-                            this.triggerFlash(editor.cm, match.index, searchQuery.length, activeView.contentEl.ownerDocument);
-                            found = true;
-                            break;
-                        }
-                        count++;
-                    }
-                }
+    // Open the current file again in new tab(s)
+    duplicateTab(count = 1) {
+        const file = this.app.workspace.getActiveFile();
+        if (!file) return;
+        for (let i = 0; i < count; i++) this.app.workspace.getLeaf('tab').openFile(file);
+    }
 
-                // Drop into Insert Mode
-                if (window.CodeMirror?.Vim) window.CodeMirror.Vim.handleKey(editor.cm, 'i', 'user');
-                
-                return;
-            }
-        }
+    // Copy the current file's vault path
+    copyFilePath() {
+        const file = this.app.workspace.getActiveFile();
+        if (file) { navigator.clipboard.writeText(file.path); new Notice(`Yanked ${file.path}`); }
+    }
+
+    // Hand the current file to the operating system
+    openInDefaultApp() {
+        const f = this.app.workspace.getActiveFile();
+        if (f) { this.app.openWithDefaultApp(f.path); new Notice(`Opening ${f.name}...`); }
+    }
+
+    // Open a random markdown file in a new tab
+    openRandomNote() {
+        const files = this.app.vault.getMarkdownFiles();
+        if (files.length) this.app.workspace.getLeaf(true).openFile(files[Math.floor(Math.random() * files.length)]);
     }
 
     // Handle key release events. Primarily used to stop scrolling
     handleKeyUp(event) {
-        if ("jkduhl".includes(event.key.toLowerCase()) && event.key.toLowerCase() === this.currentScrollKey) {
-            this.stopScroll();
+        if (this.currentScrollCode && event.code === this.currentScrollCode) {
+            this.scroller.release();
+            this.currentScrollCode = null;
         }
     }
 
@@ -1058,8 +3121,8 @@ class VimiumLogic {
         console.log(`Vimium: moveTab requested direction ${direction}`);
     }
 
-    // Jump to previous or next heading in markdown file
-    navigateToHeading(direction) {
+    // Jump 'count' headings backward or forward in a markdown file
+    navigateToHeading(direction, count = 1) {
         const view = this.app.workspace.getActiveViewOfType(MarkdownView);
         const headings = view?.file ? this.app.metadataCache.getFileCache(view.file)?.headings : null;
         if (!headings?.length) return new Notice("No headings found");
@@ -1067,9 +3130,11 @@ class VimiumLogic {
         const isSrc = view.getMode() === "source";
         const curLine = isSrc ? view.editor.getCursor().line : (view.currentMode.getScroll?.() || 0);
         
-        const target = direction > 0 
-            ? headings.find(h => h.position.start.line > curLine + 2) || headings[headings.length - 1]
-            : headings.slice().reverse().find(h => h.position.start.line < curLine - 2) || headings[0];
+        const candidates = direction > 0 
+            ? headings.filter(h => h.position.start.line > curLine + 2)
+            : headings.filter(h => h.position.start.line < curLine - 2).reverse();
+        const target = candidates[Math.min(count, candidates.length) - 1] || (direction > 0 ? headings[headings.length - 1] : headings[0]);
+        this.recordJump();
 
         const line = target.position.start.line;
         if (isSrc) {
@@ -1080,61 +3145,233 @@ class VimiumLogic {
         }
     }
 
-    // Modify the zoom level of the content
-    adjustContentZoom(el, delta) {
-        this.currentZoom = Math.min(5.0, Math.max(0.3, parseFloat((this.currentZoom + delta).toFixed(1))));
-        el.style.zoom = this.currentZoom;
-        new Notice(`Zoom ${Math.round(this.currentZoom * 100)}%`);
+    // Note the position before a jump (gg, G, headings, find, marks, followed links) in the jump list and as the
+    // '`' mark. Jumps inside the help modal or a picked scroll region don't move the note.
+    recordJump(ctx = null) {
+        if (ctx?.isHelpMode || this.scrollRegion) return;
+        const position = this.markManager.getCurrentPosition();
+        if (!position) return;
+        this.markManager.previousPosition = position;
+        this.plugin.jumpList.record(position);
     }
 
-    // Reset zoom to default 1.0
-    resetContentZoom(el) { 
-        this.currentZoom = 1.0; el.style.zoom = 1.0; new Notice("Zoom Reset"); 
+    // Modify the zoom level of the active view. Canvas and graph views zoom their own viewport; everything
+    // else goes through the ZoomManager, which remembers the level. The help modal and a region picked with
+    // 'gf'/'gF' are zoomed instead while they're what the keys act on, without remembering it.
+    adjustContentZoom(ctx, delta) {
+        if (ctx.isHelpMode || this.scrollRegion) {
+            const el = ctx.scrollTarget;
+            if (!el) return;
+            const level = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, parseFloat(((parseFloat(el.style.zoom) || 1) + delta).toFixed(1))));
+            el.style.zoom = String(level);
+            new Notice(`Zoom ${Math.round(level * 100)}%`);
+            return;
+        }
+        const view = this.app.workspace.activeLeaf?.view;
+        const surface = getViewScroller(view);
+        if (surface instanceof PanSurface) { surface.zoomBy(delta); new Notice(`Zoom ${Math.round(surface.getScale() * 100)}%`); return; }
+        this.plugin.zoomManager.adjust(view, delta);
     }
 
-    // Execute a single scroll step (called by loop or keydown)
-    performScroll(el, key, isRepeat, multiplier) {
-        const speed = this.plugin.settings.scrollSpeed * (['d', 'u'].includes(key) ? 2 : 1) * multiplier;
-        const dir = (key === 'j' || key === 'd' || key === 'l') ? 1 : -1;
-        const axis = ['h', 'l'].includes(key) ? 'left' : 'top';
-        
-        if (isRepeat) el[axis === 'left' ? 'scrollLeft' : 'scrollTop'] += (speed * dir);
-        else el.scrollBy({ [axis]: (speed * dir * 25), behavior: "smooth" });
+    // Reset zoom to default 1.0
+    resetContentZoom(ctx) { 
+        if (ctx.isHelpMode || this.scrollRegion) {
+            if (ctx.scrollTarget) { ctx.scrollTarget.style.zoom = ""; new Notice("Zoom Reset"); }
+            return;
+        }
+        const view = this.app.workspace.activeLeaf?.view;
+        const surface = getViewScroller(view);
+        if (surface instanceof PanSurface) { surface.resetZoom(); new Notice("Zoom Reset"); return; }
+        this.plugin.zoomManager.reset(view);
     }
 
-    // Cancel the automated smooth scrolling loop
+    // Stop all scrolling, including steps still animating
     stopScroll() { 
-        if (this.scrollInterval) { clearInterval(this.scrollInterval); this.scrollInterval = null; this.currentScrollKey = null; } 
+        this.scroller.stop();
+        this.currentScrollCode = null;
     }
 
-    // Navigate back or forward in navigation history
-    goHistory(dir) {
+    // Navigate back or forward 'count' steps in navigation history
+    async goHistory(dir, count = 1) {
         const h = this.app.workspace.activeLeaf?.history;
         if (!h) return;
-        if (dir === -1) { if (h.backHistory.length) h.back(); else new Notice("No back history."); }
-        else { if (h.forwardHistory.length) h.forward(); else new Notice("No forward history."); }
+        const available = dir === -1 ? h.backHistory.length : h.forwardHistory.length;
+        if (!available) { new Notice(dir === -1 ? "No back history." : "No forward history."); return; }
+        for (let i = 0; i < Math.min(count, available); i++) await (dir === -1 ? h.back() : h.forward());
     }
 
-    // Add keystroke to the command buffer (reset after 1s)
-    addToBuffer(k) { 
-        this.keyBuffer += k; clearTimeout(this.bufferTimeout); this.bufferTimeout = setTimeout(() => this.keyBuffer = "", 1000); 
+    // Wait at a trie node for the next key. On timeout an ambiguous binding runs, otherwise the keys are dropped.
+    addToBuffer(node, ctx) {
+        this.pendingNode = node;
+        this.updateIndicator(ctx.doc);
+        clearTimeout(this.bufferTimeout);
+        const timeout = this.plugin.settings.keySequenceTimeout;
+        if (timeout > 0) {
+            this.bufferTimeout = setTimeout(() => {
+                if (this.pendingNode?.binding) this.runPendingBinding(ctx);
+                else { this.clearKeyBuffer(); this.updateIndicator(ctx.doc); }
+            }, timeout);
+        }
     }
     
     // Clear the keystroke buffer immediately
     clearKeyBuffer() { 
-        this.keyBuffer = ""; clearTimeout(this.bufferTimeout); 
+        this.keyBuffer = ""; this.pendingNode = null; clearTimeout(this.bufferTimeout); 
+    }
+
+    // Combine every exclusion rule matching the active view. Returns null when Vimium is fully active,
+    // { passKeys: null } when it is disabled, or { passKeys: Set } of keys to leave to the view.
+    getExclusion(view = this.app.workspace.activeLeaf?.view) {
+        const matches = (this.plugin.settings.exclusionRules || []).filter(rule => matchesExclusionRule(this.app, view, rule));
+        if (!matches.length) return null;
+        if (matches.some(rule => !rule.passKeys?.trim())) return { passKeys: null };
+        return { passKeys: new Set(matches.flatMap(rule => parseKeySequence(rule.passKeys))) };
+    }
+
+    // The element scrolling keys act on: a region chosen with 'gf'/'gF', otherwise the active view's scroller
+    getScrollTarget() {
+        if (this.scrollRegion && !this.scrollRegion.isConnected) this.clearScrollRegion();
+        return this.scrollRegion || getViewScroller(this.app.workspace.activeLeaf?.view);
+    }
+
+    // Make 'el' the scroll target until focus or the active pane changes
+    setScrollRegion(el) {
+        this.clearScrollRegion();
+        this.scrollRegion = el;
+        el.addClass("vimium-scroll-region");
+    }
+
+    // Go back to scrolling the active view
+    clearScrollRegion() {
+        if (!this.scrollRegion) return;
+        this.scrollRegion.removeClass("vimium-scroll-region");
+        this.scrollRegion = null;
+    }
+
+    // 'gf': move the scroll target to the next visible scrollable region (sidebars, popovers, embeds, ...)
+    cycleScrollRegion(ctx) {
+        const regions = this.hintManager.findHintTargets(ctx.doc, "scrollRegion").map(t => t.el);
+        if (!regions.length) { new Notice("No scrollable regions."); return; }
+        const current = regions.indexOf(this.getScrollTarget());
+        this.setScrollRegion(regions[(current + times(ctx)) % regions.length]);
     }
 
     // Determine if Vimium should intercept keys in current context
     shouldHandleKeys(doc = document) {
         const active = doc.activeElement;
         if (active && (active.tagName === "INPUT" || active.tagName === "TEXTAREA" || active.isContentEditable)) return false;
-        if (getScrollElement(this.app.workspace.activeLeaf?.view)) return true;
+        if (this.getScrollTarget()) return true;
         return ["empty", "bases", "canvas", "graph", "localgraph", "image", "pdf", "kanban"]
                .includes(this.app.workspace.activeLeaf?.view?.getViewType());
     }
 }
 
+// --- PUBLIC API ---
+
+// API for companion plugins, available as app.plugins.plugins["vimium-o"].api. Every registration takes the
+// calling plugin (or any Component) as 'owner' and is undone automatically when the owner unloads.
+class VimiumApi {
+    constructor(plugin) {
+        this.plugin = plugin;
+    }
+
+    // Add an action, optionally bound to key sequences. 'def' is { desc, run(ctx), repeatable? }, where ctx is
+    // { event, doc, scrollTarget, count }. Users can remap it by name like any built-in action.
+    registerAction(owner, name, def, keys = []) {
+        if (ACTIONS[name]) throw new Error(`Vimium: action '${name}' already exists`);
+        const keymap = this.plugin.keymap;
+        keys = [].concat(keys);
+
+        ACTIONS[name] = { section: "Plugin actions", desc: def.desc || name, repeatable: !!def.repeatable, run: (logic, ctx) => def.run(ctx) };
+        keys.forEach(k => keymap.addPluginBinding(k, name));
+        keymap.reload();
+
+        owner.register(() => {
+            delete ACTIONS[name];
+            keys.forEach(k => keymap.removePluginBinding(k, name));
+            keymap.reload();
+        });
+    }
+
+    // Give link hints to elements matching 'selector'. If 'handler(el, { mode, newTab })' is given, it runs instead of
+    // the hint mode's action (mode is a HINT_MODES key such as "click", "newTab" or "yank").
+    registerHintTarget(owner, selector, handler = null) {
+        const target = { selector, handler };
+        this.plugin.hintTargets.push(target);
+        owner.register(() => {
+            const index = this.plugin.hintTargets.indexOf(target);
+            if (index !== -1) this.plugin.hintTargets.splice(index, 1);
+        });
+    }
+
+    // Subscribe to "mode-change" (mode, previous), "hints-start" ({ mode, newTab }), "hints-stop",
+    // "find-open", "find-close" or "mark-set" (key, mark)
+    on(owner, name, callback) {
+        const ref = this.plugin.events.on(name, callback);
+        owner.registerEvent(ref);
+        return ref;
+    }
+
+    // Current mode name as shown in the status bar ("NORMAL", "INSERT", "HINTS", ...)
+    getMode() {
+        return this.plugin.statusBar.mode;
+    }
+}
+
+// --- STATUS BAR ---
+
+// Status bar item summarizing Vimium's modal state: the current mode, the pending count and keys,
+// and whether exclusion rules disable Vimium (or pass keys through) for the active view
+class VimiumStatusBar {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.el = plugin.addStatusBarItem();
+        this.el.addClass("vimium-status-bar");
+        this.modeEl = this.el.createSpan({ cls: "vimium-status-mode" });
+        this.keysEl = this.el.createSpan({ cls: "vimium-status-keys" });
+        this.mode = null;
+        this.update();
+    }
+
+    // Name of whatever will receive the next key
+    getMode(exclusion) {
+        const { logic, markManager, findLogic } = this.plugin;
+        if (exclusion && !exclusion.passKeys) return "DISABLED";
+        if (logic.hintManager.isActive()) return HINT_MODES[logic.hintManager.mode].label;
+        if (logic.visualMode.isActive()) return VISUAL_MODE_LABELS[logic.visualMode.mode];
+        if (markManager.waitingForMarkChar) return "SET MARK";
+        if (markManager.waitingForJumpChar) return "GO TO MARK";
+        if (logic.mode === "insert") return "INSERT";
+        if (logic.mode === "passNext") return "PASS NEXT KEY";
+        if (findLogic.searchHud) return "FIND";
+        return "NORMAL";
+    }
+
+    // Redraw from the current state of every manager
+    update() {
+        const { logic } = this.plugin;
+        if (!logic) return;
+        const exclusion = logic.getExclusion();
+        const mode = this.getMode(exclusion);
+
+        if (mode !== this.mode) {
+            const previous = this.mode;
+            this.mode = mode;
+            if (previous) this.plugin.events.trigger("mode-change", mode, previous);
+        }
+
+        this.modeEl.setText(mode);
+        this.el.toggleClass("is-disabled", mode === "DISABLED");
+        this.el.toggleClass("is-normal", mode === "NORMAL");
+
+        const parts = [];
+        if (logic.count || logic.keyBuffer) parts.push(logic.count + logic.keyBuffer);
+        if (exclusion?.passKeys) parts.push(`pass ${[...exclusion.passKeys].join("")}`);
+        this.keysEl.setText(parts.join(" · "));
+        this.el.setAttr("aria-label", exclusion?.passKeys ? "Vimium: some keys pass through to this view" : `Vimium: ${mode.toLowerCase()}`);
+    }
+}
+
 // --- PLUGIN ENTRY POINT ---
 
 // Plugin load point: Initialize settings, managers, and event listeners
@@ -1143,16 +3380,33 @@ module.exports = class VimiumRead extends Plugin {
     console.log("Loading Vimium Read...");
     await this.loadSettings();
 
+    this.events = new Events();
+    this.hintTargets = []; // { selector, handler } added through the API
+    this.api = new VimiumApi(this);
+
+    this.keymap = new Keymap();
+    this.keymap.load(this.settings.keyMappings);
+
     this.markManager = new MarkManager(this);
+    this.jumpList = new JumpList(this);
+    this.zoomManager = new ZoomManager(this);
+    this.readingPositions = new ReadingPositionManager(this);
     this.logic = new VimiumLogic(this);
     this.findLogic = new FindLogic(this);
+    this.statusBar = new VimiumStatusBar(this);
 
     this.currentLeaf = this.app.workspace.activeLeaf;
 
     // Close HUD on tab switch
     this.registerEvent(this.app.workspace.on('active-leaf-change', (leaf) => {
       if (this.findLogic) this.findLogic.closeSearchHud();
+      this.logic.clearScrollRegion();
+      this.logic.visualMode.stop();
 
+      // Insert mode belongs to the view it was entered in
+      if (this.logic.mode !== "normal") this.logic.setMode("normal", leaf?.view?.containerEl.ownerDocument);
+
+      this.readingPositions.handleOpen(leaf, this.currentLeaf?.view);
       if (leaf && leaf !== this.currentLeaf) {
         this.previousLeaf = this.currentLeaf;
         this.currentLeaf = leaf;
@@ -1160,6 +3414,35 @@ module.exports = class VimiumRead extends Plugin {
       if (leaf?.view && getScrollElement(leaf.view)) {
         setTimeout(() => this.markManager.drawMarks(leaf.view), 150);
       }
+      this.zoomManager.applyToActive();
+      this.statusBar.update();
+    }));
+
+    // Views lose their zoom when a tab opens another file or a note switches between Reading and editing
+    this.registerEvent(this.app.workspace.on('file-open', () => {
+      this.zoomManager.applyToActive();
+      this.readingPositions.handleOpen(this.app.workspace.activeLeaf);
+    }));
+    this.registerEvent(this.app.workspace.on('layout-change', () => this.zoomManager.applyToActive()));
+
+    // Keep marks pointing at the right note when notes or folders are renamed or deleted
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+      this.markManager.handleRename(file, oldPath);
+      this.jumpList.handleRename(file, oldPath);
+      this.zoomManager.handleRename(file, oldPath);
+      this.readingPositions.handleRename(file, oldPath);
+    }));
+    this.registerEvent(this.app.vault.on('delete', (file) => {
+      this.markManager.handleDelete(file);
+      this.jumpList.handleDelete(file);
+      this.zoomManager.handleDelete(file);
+      this.readingPositions.handleDelete(file);
+    }));
+    this.registerEvent(this.app.vault.on('modify', (file) => this.findLogic.handleModify(file)));
+
+    // Frontmatter exclusion rules can start or stop matching when a note's properties change
+    this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+      if (file === this.app.workspace.getActiveFile()) this.statusBar.update();
     }));
 
     // Maintain a registry of documents that have listeners attached
@@ -1171,27 +3454,66 @@ module.exports = class VimiumRead extends Plugin {
       this._docsWithListeners.add(doc);
       this.registerDomEvent(doc, "keydown", (e) => this.logic.handleKeyDown(e), { capture: true });
       this.registerDomEvent(doc, "keyup",   (e) => this.logic.handleKeyUp(e));
+      this.registerDomEvent(doc, "focusin", () => this.logic.clearScrollRegion());
+      this.registerDomEvent(doc, "scroll", (e) => this.readingPositions.handleScroll(e), { capture: true });
+      // A key released while the window is in the background never sends its keyup
+      this.registerDomEvent(win, "blur", () => this.logic.stopScroll());
+      this.registerDomEvent(doc, "mousemove", (e) => { this.logic.hintManager.lastPointer = { x: e.clientX, y: e.clientY, doc }; }, { passive: true });
       this.registerDomEvent(doc, "keydown", (e) => this.findLogic.handleKeyDown(e), { capture: true });
     };
 
     registerWindowEvents(window);
     this.registerEvent(this.app.workspace.on("window-open", (l) => registerWindowEvents(l.win ?? l)));
 
+    this.registerActionCommands();
     this.addSettingTab(new VimiumReadSettingTab(this.app, this));
   }
 
+  // Register every action as an Obsidian command ("vimium-o:scroll-down", ...) so it shows in the
+  // command palette and can be bound to Obsidian hotkeys or called by other plugins
+  registerActionCommands() {
+    for (const [name, action] of Object.entries(ACTIONS)) {
+      this.addCommand({
+        id: name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`),
+        name: action.desc,
+        callback: () => this.logic.runAction(name)
+      });
+    }
+  }
+
   // Load settings from disk
   async loadSettings() {
-    this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    const { marks, zoomLevels, readingPositions, ...settings } = (await this.loadData()) || {};
+    // Older versions scrolled 'scrollSpeed' pixels every 'repeatInterval' ms, and a tap moved 25 of those
+    if (settings.scrollSpeed !== undefined) {
+      settings.scrollStepSize ??= settings.scrollSpeed * 25;
+      settings.scrollHoldSpeed ??= Math.round(settings.scrollSpeed / (settings.repeatInterval || 5) * 1000);
+      delete settings.scrollSpeed;
+      delete settings.repeatInterval;
+    }
+    this.settings = Object.assign(structuredClone(DEFAULT_SETTINGS), settings);
+    this.savedMarks = marks || {}; // Handed to the MarkManager once it exists
+    this.savedZoomLevels = zoomLevels || {}; // Likewise for the ZoomManager
+    this.savedReadingPositions = readingPositions || {}; // And the ReadingPositionManager
   }
   // Save settings to disk
   async saveSettings() {
-    await this.saveData(this.settings);
+    await this.savePluginData();
+    this.statusBar?.update();
+  }
+  // Marks are stored in data.json next to the settings, so every save writes both
+  async savePluginData() {
+    await this.saveData({
+      ...this.settings,
+      marks: this.markManager?.marks ?? this.savedMarks,
+      zoomLevels: this.zoomManager?.levels ?? this.savedZoomLevels,
+      readingPositions: this.readingPositions?.positions ?? this.savedReadingPositions
+    });
   }
 
   // Cleanup resources when plugin is disabled
   onunload() {
-    this.logic?.hintManager?.stop(); this.findLogic?.closeSearchHud();
+    this.logic?.hintManager?.stop(); this.logic?.clearPending(); this.logic?.clearScrollRegion(); this.logic?.visualMode.stop(); this.zoomManager?.stop(); this.readingPositions?.stop(); this.findLogic?.closeSearchHud();
     this._docsWithListeners = new WeakSet(); // Allow clean reattachment after reload
   }
 };
@@ -1212,19 +3534,358 @@ class VimiumReadSettingTab extends PluginSettingTab {
                 }));
         };
 
-        addTextSetting("Base Scroll Speed", "The fundamental pixel step size when scrolling", "scrollSpeed");
-        addTextSetting("Repeat Interval (ms)", "Lower = smoother (higher CPU)", "repeatInterval");
+        addTextSetting("Scroll Step (px)", "How far one press of j/k/h/l scrolls. d/u move half a page, Ctrl+f/Ctrl+b a full page", "scrollStepSize");
+        addTextSetting("Held Scroll Speed (px/s)", "How fast j/k/h/l scroll while held down, before acceleration", "scrollHoldSpeed");
 
         containerEl.createEl('h3', { text: 'Scroll Acceleration' });
         addTextSetting("Start Speed Multiplier", "Speed at start of scroll", "smoothScrollStart", true);
         addTextSetting("Max Speed Multiplier", "Top scrolling speed", "smoothScrollEnd", true);
         addTextSetting("Ramp Duration (ms)", "Time to max scrolling speed", "smoothScrollDuration");
         addTextSetting("Acceleration Curve", "1=Linear, 3=Cubic", "smoothScrollCurve", true);
+
+        containerEl.createEl('h3', { text: 'Link Hints' });
+        new Setting(containerEl)
+            .setName("Link Hint Mode")
+            .setDesc("Alphabet: type the letters on a hint. Filter: type part of a link's text to narrow the hints, then its number or Enter for the best match")
+            .addDropdown(dropdown => dropdown
+                .addOptions({ alphabet: "Alphabet", filter: "Filter by text" })
+                .setValue(this.plugin.settings.hintMode)
+                .onChange(async (val) => {
+                    this.plugin.settings.hintMode = val;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Yank Format")
+            .setDesc("What 'yf' copies for links to notes. Links to websites are always copied as URLs")
+            .addDropdown(dropdown => dropdown
+                .addOptions({ wikilink: "Wikilink", path: "Vault path" })
+                .setValue(this.plugin.settings.hintYankFormat)
+                .onChange(async (val) => {
+                    this.plugin.settings.hintYankFormat = val;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Hint Characters")
+            .setDesc("Letters used for hint labels in alphabet mode. Hints closest to the mouse (or the centre of the active pane) get the shortest labels")
+            .addText(text => text
+                .setPlaceholder(HINT_CHARS)
+                .setValue(this.plugin.settings.hintChars)
+                .onChange(async (val) => {
+                    this.plugin.settings.hintChars = val;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Zoom' });
+        new Setting(containerEl)
+            .setName("Remember Zoom")
+            .setDesc("Whether zi/zo set the zoom of each file separately, or of every file of the same kind (all notes, all PDFs, ...)")
+            .addDropdown(dropdown => dropdown
+                .addOptions({ file: "Per file", viewType: "Per view type" })
+                .setValue(this.plugin.settings.zoomScope)
+                .onChange(async (val) => {
+                    this.plugin.settings.zoomScope = val;
+                    await this.plugin.saveSettings();
+                    this.plugin.zoomManager.applyToActive();
+                }));
+
+        containerEl.createEl('h3', { text: 'Reading Position' });
+        new Setting(containerEl)
+            .setName("Restore Reading Position")
+            .setDesc("Reopen notes in Reading view and PDFs where you left them. gg takes you back to the top")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.restoreReadingPosition)
+                .onChange(async (val) => {
+                    this.plugin.settings.restoreReadingPosition = val;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Excluded Folders")
+            .setDesc("One folder per line. Files in them always open at the top, and their positions aren't saved")
+            .addTextArea(text => text
+                .setPlaceholder("Daily\nTemplates")
+                .setValue(this.plugin.settings.readingPositionExcludedFolders)
+                .onChange(async (val) => {
+                    this.plugin.settings.readingPositionExcludedFolders = val;
+                    await this.plugin.saveSettings();
+                }));
+
+        this.displayExclusionRules(containerEl);
+
+        containerEl.createEl('h3', { text: 'Custom Key Mappings' });
+        addTextSetting("Key Sequence Timeout (ms)", "How long to wait for the next key of a sequence like 'gg'. 0 = wait forever", "keySequenceTimeout");
+
+        const errorsEl = containerEl.createDiv({ cls: "vimium-keymap-errors" });
+        const showErrors = (errors) => {
+            errorsEl.empty();
+            errors.forEach(err => errorsEl.createDiv({ text: err }));
+            // Shorter bindings hidden behind longer ones are legal, but only fire after the timeout
+            this.plugin.keymap.getAmbiguities().forEach(({ keys, binding, longer }) => {
+                errorsEl.createDiv({ cls: "vimium-keymap-warning", text: `'${keys}' (${binding}) is a prefix of ${longer.map(k => `'${k}'`).join(", ")}: it runs after the timeout or when a different key follows.` });
+            });
+        };
+
+        new Setting(containerEl)
+            .setName("Key mappings")
+            .setDesc("One per line: 'map <keys> <action>', 'map <keys> command:<obsidian-command-id> [norepeat]', 'unmap <keys>' or 'unmapAll'. Lines starting with # are comments.")
+            .addTextArea(text => {
+                text.inputEl.addClass("vimium-keymap-input");
+                text.inputEl.rows = 8;
+                text.setPlaceholder("unmap r\nmap P togglePinTab\nmap gd command:daily-notes")
+                    .setValue(this.plugin.settings.keyMappings)
+                    .onChange(async (val) => {
+                        this.plugin.settings.keyMappings = val;
+                        showErrors(this.plugin.keymap.load(val));
+                        await this.plugin.saveSettings();
+                    });
+            });
+        showErrors(this.plugin.keymap.errors);
+
+        // Reference list of every action name that can be mapped
+        const details = containerEl.createEl("details", { cls: "vimium-action-list" });
+        details.createEl("summary", { text: "Available actions" });
+        const table = details.createEl("table", { cls: "vimium-table" });
+        for (const [name, action] of Object.entries(ACTIONS)) {
+            const tr = table.createEl("tr");
+            tr.createEl("td", { cls: "vimium-keys" }).createSpan({ text: name, cls: "vimium-key" });
+            tr.createEl("td", { text: action.desc, cls: "vimium-desc" });
+        }
+    }
+
+    // Editable list of rules that disable Vimium (or pass some keys through) for matching notes and views
+    displayExclusionRules(containerEl) {
+        containerEl.createEl('h3', { text: 'Exclusion Rules' });
+        containerEl.createEl('p', {
+            cls: "setting-item-description",
+            text: "Turn Vimium off for matching views. Patterns are path globs ('Boards/', 'Projects/**/*.md'), frontmatter properties ('kanban-plugin' or 'status=draft') or view types ('canvas'). Leave pass keys empty to disable Vimium completely, or list keys like 'jkf' to send only those to the view."
+        });
+
+        const rules = this.plugin.settings.exclusionRules;
+        rules.forEach((rule, index) => {
+            new Setting(containerEl)
+                .setClass("vimium-exclusion-rule")
+                .addDropdown(dropdown => dropdown
+                    .addOptions({ path: "Path", frontmatter: "Frontmatter", view: "View type" })
+                    .setValue(rule.type)
+                    .onChange(async (val) => { rule.type = val; await this.plugin.saveSettings(); }))
+                .addText(text => text
+                    .setPlaceholder("Pattern")
+                    .setValue(rule.pattern)
+                    .onChange(async (val) => { rule.pattern = val; await this.plugin.saveSettings(); }))
+                .addText(text => text
+                    .setPlaceholder("Pass keys")
+                    .setValue(rule.passKeys)
+                    .onChange(async (val) => { rule.passKeys = val; await this.plugin.saveSettings(); }))
+                .addExtraButton(btn => btn
+                    .setIcon("x")
+                    .setTooltip("Remove rule")
+                    .onClick(async () => {
+                        rules.splice(index, 1);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+        });
+
+        new Setting(containerEl).addButton(btn => btn
+            .setButtonText("Add rule")
+            .onClick(async () => {
+                rules.push({ type: "path", pattern: "", passKeys: "" });
+                await this.plugin.saveSettings();
+                this.display();
+            }));
     }
 }
 
 // --- FIND LOGIC ---
 
+// How long (in milliseconds) find waits after a keystroke in the HUD before searching
+const FIND_INPUT_DELAY = 150;
+
+// Text that find skips: code-block buttons, the properties editor and the raw frontmatter behind it
+const FIND_SKIPPED_SELECTOR = "style, script, .copy-code-button, .metadata-container, .frontmatter";
+
+// Elements whose text find treats as separate lines, so a match never runs from one into the next
+const FIND_BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6, td, th, pre, blockquote, div";
+
+// An element's text as one string, plus the text nodes it came from as { node, start } (start being the node's
+// offset in the string)
+function indexTextNodes(root) {
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    let text = "", lastBlock = null;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest(FIND_SKIPPED_SELECTOR)) continue;
+        const block = parent.closest(FIND_BLOCK_SELECTOR);
+        if (lastBlock && block !== lastBlock) text += "\n";
+        lastBlock = block;
+        nodes.push({ node, start: text.length });
+        text += node.data;
+    }
+    return { text, nodes };
+}
+
+// DOM Range covering [start, end) of the string from indexTextNodes(), which may span several text nodes
+function createTextRange(nodes, start, end) {
+    // Binary search for the node holding 'offset'. An end offset belongs to the node it ends, not the next one.
+    const locate = (offset, isEnd) => {
+        let lo = 0, hi = nodes.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (isEnd ? nodes[mid].start < offset : nodes[mid].start <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        const { node, start: nodeStart } = nodes[lo];
+        return [node, Math.min(offset - nodeStart, node.data.length)];
+    };
+    const range = nodes[0].node.ownerDocument.createRange();
+    range.setStart(...locate(start, false));
+    range.setEnd(...locate(end, true));
+    return range;
+}
+
+// Finds a query in a Reading view by walking its rendered text, and paints the matches with the CSS Custom
+// Highlight API, so the note's DOM is never touched
+class TextFinder {
+    constructor(view) {
+        this.view = view;
+        this.regex = null;
+        this.matches = [];    // { range, line, lineEnd } in document order; lines are those of the match's section
+        this.index = -1;      // The active match
+        this.textIndex = null; // Text of every section as { text, nodes, lineStart, lineEnd }, built once per render
+        this.sectionEls = [];  // Section elements the text index was built from, to notice when the note re-renders
+        this.scrollTimer = null;
+    }
+
+    // The window the view is in; each window has its own highlight registry
+    get win() {
+        return this.view.containerEl.ownerDocument.defaultView;
+    }
+
+    // The note's sections as { el, lineStart, lineEnd }. Reading view only renders sections near the viewport,
+    // so the rest are rendered here to find matches anywhere in the note.
+    getSections() {
+        const sections = this.view.previewMode.renderer?.sections?.filter(section => section.el);
+        if (!sections?.length) return [{ el: getScrollElement(this.view), lineStart: null, lineEnd: null }].filter(section => section.el);
+        sections.forEach(section => { if (!section.rendered) section.render?.(); });
+        return sections;
+    }
+
+    // Find every match of 'query' and make the first one from the top of the view onwards active.
+    // Returns the number of matches.
+    search(query) {
+        this.regex = parseFindQuery(query);
+        this.collect();
+        const topLine = getPreviewTopLine(this.view);
+        const first = this.matches.findIndex(match => match.lineEnd === null || match.lineEnd >= topLine);
+        this.index = this.matches.length ? Math.max(first, 0) : -1;
+        this.highlight();
+        return this.matches.length;
+    }
+
+    // Search again after the note re-rendered, keeping the active match where it was in the list
+    refresh() {
+        const index = this.index;
+        this.collect();
+        this.index = Math.min(index, this.matches.length - 1);
+        this.highlight();
+    }
+
+    // Text of the whole note for searching. Rendering and walking every section is slow on long notes, so it is
+    // done once and reused by every query until the note re-renders or changes.
+    getTextIndex() {
+        if (!this.textIndex) {
+            this.sectionEls = this.getSectionEls();
+            this.textIndex = this.getSections().map(section => ({ ...indexTextNodes(section.el), lineStart: section.lineStart, lineEnd: section.lineEnd }));
+        }
+        return this.textIndex;
+    }
+
+    // Drop the text index, so the next search reads the note again
+    invalidate() {
+        this.textIndex = null;
+    }
+
+    // Check whether the note has re-rendered since the text index was built (an edit, or another file in the tab)
+    isStale() {
+        const els = this.getSectionEls();
+        return els.length !== this.sectionEls.length || els.some((el, i) => el !== this.sectionEls[i]);
+    }
+
+    // Elements of the note's sections, without rendering any
+    getSectionEls() {
+        const sections = this.view.previewMode.renderer?.sections?.filter(section => section.el);
+        return sections?.length ? sections.map(section => section.el) : [getScrollElement(this.view)].filter(Boolean);
+    }
+
+    // Collect a Range for every match in every section. Empty matches (like 'a*' between letters) are skipped.
+    collect() {
+        this.matches = [];
+        if (!this.regex) return;
+        for (const { text, nodes, lineStart, lineEnd } of this.getTextIndex()) {
+            this.regex.lastIndex = 0;
+            let match;
+            while ((match = this.regex.exec(text)) !== null) {
+                if (!match[0].length) { this.regex.lastIndex++; continue; }
+                const range = createTextRange(nodes, match.index, match.index + match[0].length);
+                this.matches.push({ range, line: lineStart, lineEnd });
+            }
+        }
+    }
+
+    // Move to the next (or previous) match, wrapping around the ends of the note. Returns true if it wrapped.
+    step(reverse) {
+        if (!this.matches.length) return false;
+        const next = this.index + (reverse ? -1 : 1);
+        this.index = (next + this.matches.length) % this.matches.length;
+        this.highlight();
+        this.scrollToActive();
+        return reverse ? next < 0 : next >= this.matches.length;
+    }
+
+    // Paint all matches, and the active one on top
+    highlight() {
+        const { CSS, Highlight } = this.win;
+        if (!CSS?.highlights || !Highlight) return;
+        CSS.highlights.set("vimium-find", new Highlight(...this.matches.map(match => match.range)));
+        const active = new Highlight(...(this.index >= 0 ? [this.matches[this.index].range] : []));
+        active.priority = 1;
+        CSS.highlights.set("vimium-find-active", active);
+    }
+
+    // Bring the active match to the middle of the view, first scrolling its section into view if it isn't shown
+    scrollToActive(attempt = 0) {
+        clearTimeout(this.scrollTimer);
+        const match = this.matches[this.index];
+        const scrollEl = getScrollElement(this.view);
+        if (!match || !scrollEl) return;
+        if (!match.range.startContainer.isConnected) {
+            if (attempt === 0 && match.line !== null) this.view.previewMode.applyScroll(match.line);
+            if (attempt < 10) this.scrollTimer = setTimeout(() => this.scrollToActive(attempt + 1), 50);
+            return;
+        }
+        const rect = match.range.getBoundingClientRect();
+        const viewRect = scrollEl.getBoundingClientRect();
+        if (rect.top >= viewRect.top && rect.bottom <= viewRect.bottom) return;
+        scrollEl.scrollTo({ top: scrollEl.scrollTop + rect.top - viewRect.top - scrollEl.clientHeight / 2, behavior: "smooth" });
+    }
+
+    // The active match for switching to the editor: the query, its section's lines, and how many matches come before
+    // it in that section
+    getActiveMatch() {
+        const match = this.matches[this.index];
+        if (!match) return null;
+        const nth = this.matches.slice(0, this.index).filter(other => other.line === match.line).length;
+        return { regex: this.regex, line: match.line, lineEnd: match.lineEnd, nth };
+    }
+
+    // Remove the highlights
+    clear() {
+        clearTimeout(this.scrollTimer);
+        this.win.CSS?.highlights?.delete("vimium-find");
+        this.win.CSS?.highlights?.delete("vimium-find-active");
+    }
+}
+
 // Initialize find logic state
 class FindLogic {
     constructor(plugin) {
@@ -1235,7 +3896,11 @@ class FindLogic {
         this.inputEl = null;
         this.countEl = null;
         this.currentDoc = null;
-        this.nativeUI = {};
+        this.nativeUI = {};  // Obsidian's own find bar, which PDFs are still searched with
+        this.finder = null;  // TextFinder for a Reading view
+        this.refreshTimer = null;
+        this.searchTimer = null;
+        this.pendingQuery = null; // Query typed into the HUD that hasn't been searched for yet
         this.handleGlobalClick = this.handleGlobalClick.bind(this);
     }
 
@@ -1249,6 +3914,11 @@ class FindLogic {
         return null;
     }
 
+    // PDFs are searched by the PDF viewer's find bar; notes by the TextFinder
+    usesNativeSearch(view = this.getSearchableView()) {
+        return view?.getViewType() === "pdf";
+    }
+
     // Intercept keys for search functionality
     handleKeyDown(event) {
         // If VimiumLogic already grabbed this key, ignore it completely
@@ -1269,32 +3939,14 @@ class FindLogic {
         if (active && active !== this.inputEl && active !== this.nativeUI.input &&
            (active.tagName === "INPUT" || active.tagName === "TEXTAREA" || active.contentEditable === "true")) return;
 
-        const key = event.key;
-        if (key === "/" && !event.ctrlKey && !event.altKey && !event.metaKey) {
-            event.preventDefault(); event.stopPropagation();
-            this.openSearchHud();
-            return;
-        }
-
-        // Check for 'n' or 'N' when the HUD is closed
-        if ((key === "n" || key === "N") && !event.ctrlKey && !event.altKey && !event.metaKey) {
-            // If the search HUD is not active, immediately notify the user
-            if (!this.searchHud) {
-                new Notice("No query to find");
-                event.preventDefault(); 
-                event.stopPropagation();
-                return;
-            }
-        }
-
         if (this.searchHud) {
-            const isShift = event.shiftKey;
-            if (key === "n" || key === "Enter" || key === "ArrowDown" || key === "N" || key === "ArrowUp") {
+            const key = event.key;
+            if (key === "Enter" || key === "ArrowDown" || key === "ArrowUp") {
                 event.preventDefault(); event.stopPropagation();
-                this.findNextSearchResult((key === "N" || (key === "n" && isShift) || (key === "Enter" && isShift) || key === "ArrowUp"));
+                this.findNextSearchResult((key === "Enter" && event.shiftKey) || key === "ArrowUp");
                 return;
             }
-            if (key === "/" || key === "Backspace") { event.preventDefault(); this.inputEl.focus(); return; }
+            if (key === "Backspace") { event.preventDefault(); this.inputEl.focus(); return; }
             if (key === "Escape") { 
                 event.preventDefault(); event.stopPropagation(); 
                 this.closeSearchHud(); 
@@ -1302,8 +3954,36 @@ class FindLogic {
         }
     }
 
-    // Initialize and display the custom search HUD
-    openSearchHud() {
+    // Open the HUD, or refocus its input if it is already open ('/' by default)
+    enterFindMode() {
+        if (!this.getSearchableView()) return false;
+        if (this.searchHud) this.inputEl.focus();
+        else this.openSearchHud();
+    }
+
+    // Cycle through matches of the current query ('n' / 'N' by default)
+    performFind(reverse) {
+        if (!this.getSearchableView()) return false;
+        if (!this.searchHud) new Notice("No query to find");
+        else this.findNextSearchResult(reverse);
+    }
+
+    // Search for 'query' right away and leave the keyboard on the page, so 'n'/'N' work at once.
+    // A 'literal' query is matched as plain text, not as a regular expression.
+    searchFor(query, literal = false) {
+        const view = this.getSearchableView();
+        if (!view) return false;
+        if (literal && !this.usesNativeSearch(view)) query = escapeRegExp(query);
+        if (view.file?.path) this.searchCache[view.file.path] = query;
+        if (!this.searchHud) { this.openSearchHud(query, false); return; }
+
+        this.inputEl.value = query;
+        this.runSearch(query);
+        this.focusPage();
+    }
+
+    // Initialize and display the custom search HUD, starting from 'query' or the file's last query
+    openSearchHud(query = null, focusInput = true) {
         const view = this.getSearchableView();
         if (!view) return;
         
@@ -1314,8 +3994,14 @@ class FindLogic {
 
         // Retrieve last query for this specific file
         const currentPath = view.file?.path || "global";
-        const savedQuery = this.searchCache[currentPath] || "";
+        const savedQuery = query ?? (this.searchCache[currentPath] || "");
+        this.plugin.logic.recordJump();
 
+        if (!this.usesNativeSearch(view)) {
+            this.finder = new TextFinder(view);
+            this.createSearchHud(savedQuery, focusInput);
+            return;
+        }
         this.app.commands.executeCommandById('editor:open-search');
 
         let attempts = 0;
@@ -1323,7 +4009,7 @@ class FindLogic {
             this.connectToNativeSearchUI();
             if (this.nativeUI.input) {
                 clearInterval(waitForSearchUI);
-                this.createSearchHud(savedQuery);
+                this.createSearchHud(savedQuery, focusInput);
             } else if (attempts++ > 50) {
                 clearInterval(waitForSearchUI);
                 this.currentDoc.body.classList.remove('vimium-search-active');
@@ -1362,7 +4048,7 @@ class FindLogic {
     }
 
     // Build the custom search UI elements
-    createSearchHud(initialQuery) {
+    createSearchHud(initialQuery, focusInput = true) {
         if (this.searchHud) { this.inputEl.focus(); this.inputEl.select(); return; }
         const doc = this.currentDoc;
         if (!doc) return;
@@ -1381,15 +4067,20 @@ class FindLogic {
         
         if (initialQuery) {
             this.inputEl.value = initialQuery;
-            this.syncToNativeSearch(initialQuery);
+            this.runSearch(initialQuery);
         }
 
         const div = doc.createElement('span'); div.className = 'vimium-search-divider'; div.innerText = " / ";
         this.searchHud.append(this.countEl, div, this.inputEl);
         doc.body.appendChild(this.searchHud);
 
-        this.inputEl.focus();
-        if (initialQuery) this.inputEl.select();
+        if (!focusInput) this.focusPage();
+        else {
+            this.inputEl.focus();
+            if (initialQuery) this.inputEl.select();
+        }
+        this.plugin.statusBar?.update();
+        this.plugin.events.trigger("find-open");
 
         setTimeout(() => doc.addEventListener('click', this.handleGlobalClick), 100);
         
@@ -1402,7 +4093,7 @@ class FindLogic {
                 this.searchCache[view.file.path] = val;
             }
 
-            this.syncToNativeSearch(val);
+            this.scheduleSearch(val);
         });
         
         this.inputEl.addEventListener('keydown', (e) => {
@@ -1415,16 +4106,70 @@ class FindLogic {
         });
     }
 
-    // Watch for changes in the native search result count
+    // Move focus from the search inputs back to the page, keeping the HUD open
+    focusPage() {
+        const active = this.currentDoc?.activeElement;
+        if (active === this.inputEl || active === this.nativeUI.input) active.blur();
+        this.getSearchableView()?.contentEl?.focus();
+    }
+
+    // Watch the view for changes: the native search result count, or a note re-rendering under the TextFinder
     startSearchObserver() {
         const el = this.getSearchableView()?.contentEl;
         if (el) {
             if (this.observer) this.observer.disconnect();
-            this.observer = new MutationObserver(() => this.updateSearchCountFromNative());
+            this.observer = new MutationObserver(() => {
+                if (!this.finder) { this.updateSearchCountFromNative(); return; }
+                clearTimeout(this.refreshTimer);
+                this.refreshTimer = setTimeout(() => {
+                    if (this.finder?.isStale()) { this.finder.invalidate(); this.finder.refresh(); this.updateSearchCount(); }
+                }, 200);
+            });
             this.observer.observe(el, { childList: true, subtree: true });
         }
     }
 
+    // The searched note changed on disk: read it again once Reading view has re-rendered it
+    handleModify(file) {
+        if (!this.finder || this.finder.view.file !== file) return;
+        this.finder.invalidate();
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => { this.finder?.refresh(); this.updateSearchCount(); }, 200);
+    }
+
+    // Search as the query is typed, once typing pauses
+    scheduleSearch(query) {
+        clearTimeout(this.searchTimer);
+        this.pendingQuery = query;
+        this.searchTimer = setTimeout(() => this.flushSearch(), FIND_INPUT_DELAY);
+    }
+
+    // Run a search still waiting on scheduleSearch() now
+    flushSearch() {
+        clearTimeout(this.searchTimer);
+        if (this.pendingQuery === null) return;
+        const query = this.pendingQuery;
+        this.pendingQuery = null;
+        this.runSearch(query);
+    }
+
+    // Search the view for 'query' as it's typed, showing the first match from the top of the view onwards
+    runSearch(query) {
+        clearTimeout(this.searchTimer);
+        this.pendingQuery = null;
+        if (!this.finder) { this.syncToNativeSearch(query); return; }
+        this.finder.search(query);
+        this.finder.scrollToActive();
+        this.updateSearchCount();
+    }
+
+    // Show the TextFinder's active match and match count in the HUD
+    updateSearchCount() {
+        if (!this.countEl || !this.finder) return;
+        const { matches, index } = this.finder;
+        this.countEl.innerText = matches.length ? `${index + 1}/${matches.length}` : "0/0";
+    }
+
     // Push input from custom HUD to native search box
     syncToNativeSearch(query) {
         if (!this.nativeUI.input) this.connectToNativeSearchUI();
@@ -1436,8 +4181,16 @@ class FindLogic {
         setTimeout(() => this.updateSearchCountFromNative(), 50);
     }
 
-    // Trigger native next/prev buttons
+    // Move to the next or previous match, saying so when the search wraps around the note like Vim does
     findNextSearchResult(reverse) {
+        this.flushSearch();
+        this.plugin.logic.recordJump();
+        if (this.finder) {
+            if (!this.finder.matches.length) { new Notice(`Pattern not found: ${this.inputEl?.value ?? ""}`); return; }
+            if (this.finder.step(reverse)) new Notice(reverse ? "Search hit TOP, continuing at BOTTOM" : "Search hit BOTTOM, continuing at TOP");
+            this.updateSearchCount();
+            return;
+        }
         if (!this.nativeUI.input) this.connectToNativeSearchUI();
         (reverse ? this.nativeUI.prev : this.nativeUI.next)?.click();
     }
@@ -1472,10 +4225,17 @@ class FindLogic {
             this.searchHud.remove();
             this.searchHud = null;
             this.observer?.disconnect();
+            clearTimeout(this.refreshTimer);
+            clearTimeout(this.searchTimer);
+            this.pendingQuery = null;
+            this.finder?.clear();
+            this.finder = null;
             this.nativeUI.closeBtn?.click(); // Just close the native button to ensure it resets properly
             this.nativeUI = {};
             this.getSearchableView()?.contentEl?.focus();
+            this.plugin.events.trigger("find-close");
         }
         this.currentDoc = null;
+        this.plugin.statusBar?.update();
     }
 }
\ No newline at end of file